@@ -1,573 +1,5702 @@
 const http = require('http');
+const https = require('https');
+const net = require('net');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { exec } = require('child_process');
+const readline = require('readline');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { execFile, spawn } = require('child_process');
 
-// Screen capture and control utilities
-class ScreenController {
-    constructor() {
-        this.screenWidth = 1920;
-        this.screenHeight = 1080;
-        this.platform = os.platform();
-        this.detectScreenSize();
+// Run a helper tool directly (no shell), resolving with its stdout.
+// options.input is written to the tool's stdin.
+function run(command, args = [], options = {}) {
+    const { input, ...execOptions } = options;
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { timeout: 10000, windowsHide: true, ...execOptions }, (err, stdout, stderr) => {
+            if (err) {
+                err.stderr = stderr;
+                reject(err);
+                return;
+            }
+            resolve(stdout);
+        });
+        if (input !== undefined) {
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        }
+    });
+}
+
+// Like run() for tools that fork a background process which keeps our pipes open (xclip stays
+// around to serve the clipboard): resolves as soon as the tool itself exits.
+function runDetached(command, args, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'], windowsHide: true });
+        const timer = setTimeout(() => child.kill(), 10000);
+        child.on('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        child.on('exit', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) resolve();
+            else reject(new Error(`${command} ${signal ? `was stopped (${signal})` : `exited with code ${code}`}`));
+        });
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+// Start a program that should outlive the server, like an app launched from the phone.
+// Resolves once it is running; rejects if it couldn't start at all (ENOENT when not installed).
+function launchDetached(command, args = []) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+        child.once('error', reject);
+        child.once('spawn', () => {
+            child.unref();
+            resolve();
+        });
+    });
+}
+
+// Whether a helper tool could be started: an executable path, or a name found on PATH
+async function hasCommand(command) {
+    const extensions = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+    const candidates = path.isAbsolute(command)
+        ? [command]
+        : (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+            .flatMap(dir => extensions.map(extension => path.join(dir, command + extension)));
+
+    for (const candidate of candidates) {
+        try {
+            await fs.promises.access(candidate, fs.constants.X_OK);
+            return true;
+        } catch (err) {
+            // Not in this directory
+        }
     }
+    return false;
+}
 
-    detectScreenSize() {
-        // Detect actual screen size based on platform
-        if (this.platform === 'darwin') {
-            // macOS
-            exec('system_profiler SPDisplaysDataType | grep Resolution', (err, stdout) => {
-                if (!err && stdout) {
-                    const match = stdout.match(/(\d+)\s*x\s*(\d+)/);
-                    if (match) {
-                        this.screenWidth = parseInt(match[1]);
-                        this.screenHeight = parseInt(match[2]);
-                        console.log(`✅ Screen size detected: ${this.screenWidth}x${this.screenHeight}`);
-                    }
-                }
-            });
-        } else if (this.platform === 'win32') {
-            // Windows - use PowerShell
-            exec('powershell -command "Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.Screen]::PrimaryScreen.Bounds.Width; [System.Windows.Forms.Screen]::PrimaryScreen.Bounds.Height"', (err, stdout) => {
-                if (!err && stdout) {
-                    const lines = stdout.trim().split('\n');
-                    if (lines.length >= 2) {
-                        this.screenWidth = parseInt(lines[0].trim());
-                        this.screenHeight = parseInt(lines[1].trim());
-                        console.log(`✅ Screen size detected: ${this.screenWidth}x${this.screenHeight}`);
-                    }
+// Try each async attempt in turn until one succeeds. If all fail, report the first real failure,
+// or that the first (preferred) tool is missing when none of them are installed.
+async function tryEach(attempts) {
+    const errors = [];
+    for (const attempt of attempts) {
+        try {
+            return await attempt();
+        } catch (err) {
+            errors.push(err);
+        }
+    }
+    throw errors.find(err => err.code !== 'ENOENT') || errors[0];
+}
+
+// Try each [command, args, options] in turn until one succeeds
+function runFirst(candidates) {
+    return tryEach(candidates.map(([command, args, options]) => () => run(command, args, options)));
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// 75000 -> "1:15", 3725000 -> "1:02:05"
+function formatDuration(ms) {
+    const total = Math.floor(ms / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// Key names understood by every backend; single letters and digits are passed through
+const KEY_NAMES = [
+    'escape', 'enter', 'tab', 'backspace', 'delete',
+    'up', 'down', 'left', 'right', 'pageup', 'pagedown', 'home', 'end', 'space',
+    'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12'
+];
+
+const MODIFIER_ALIASES = {
+    control: 'control', ctrl: 'control',
+    shift: 'shift',
+    alt: 'alt', option: 'alt',
+    command: 'command', cmd: 'command', super: 'command', meta: 'command'
+};
+
+function normalizeKey(key) {
+    const name = String(key || '').toLowerCase();
+    if (KEY_NAMES.includes(name) || /^[a-z0-9]$/.test(name)) return name;
+    throw new Error(`Unsupported key: ${key}`);
+}
+
+function normalizeModifiers(modifier) {
+    if (!modifier) return [];
+
+    const mods = Array.isArray(modifier) ? modifier : [modifier];
+    return mods.map(mod => {
+        const name = MODIFIER_ALIASES[String(mod).toLowerCase()];
+        if (!name) throw new Error(`Unsupported modifier: ${mod}`);
+        return name;
+    });
+}
+
+// Message types each backend method carries out, so a probe can tell phones what works here
+const COMMANDS_BY_METHOD = {
+    moveMouse: ['mouse_move'],
+    moveMouseRelative: ['mouse_move_relative'],
+    click: ['mouse_click'],
+    doubleClick: ['double_click'],
+    mouseDown: ['mouse_down'],
+    mouseUp: ['mouse_up'],
+    scroll: ['scroll'],
+    type: ['type_text'],
+    key: ['key_press', 'next_slide', 'prev_slide', 'play_pause', 'toggle_fullscreen', 'run_macro'],
+    volume: ['volume_up', 'volume_down'],
+    mute: ['mute'],
+    media: ['next_track', 'prev_track'],
+    brightness: ['brightness_up', 'brightness_down'],
+    displaySleep: ['display_sleep'],
+    captureScreen: ['preview_start'],
+    setClipboard: ['clipboard_set'],
+    getClipboard: ['clipboard_get'],
+    listWindows: ['list_windows'],
+    focusWindow: ['focus_window'],
+    closeWindow: ['close_window'],
+    launch: ['launch', 'open_upload']
+};
+
+// Input backends: each one drives the OS through argument arrays, never a shell string.
+// Methods return promises so callers can tell whether the action actually happened.
+class InputBackend {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Displays in global desktop coordinates: [{ id, name, x, y, width, height, primary }]
+    listDisplays() { return Promise.reject(new Error(`${this.name}: screen detection not supported`)); }
+    moveMouse(x, y) { return Promise.reject(new Error(`${this.name}: moveMouse not supported`)); }
+    moveMouseRelative(dx, dy) { return Promise.reject(new Error(`${this.name}: moveMouseRelative not supported`)); }
+    click(button) { return Promise.reject(new Error(`${this.name}: click not supported`)); }
+    doubleClick(button) { return Promise.reject(new Error(`${this.name}: doubleClick not supported`)); }
+    mouseDown(button) { return Promise.reject(new Error(`${this.name}: mouseDown not supported`)); }
+    mouseUp(button) { return Promise.reject(new Error(`${this.name}: mouseUp not supported`)); }
+    scroll(direction, amount) { return Promise.reject(new Error(`${this.name}: scroll not supported`)); }
+    type(text) { return Promise.reject(new Error(`${this.name}: type not supported`)); }
+    key(key, modifiers) { return Promise.reject(new Error(`${this.name}: key not supported`)); }
+    volume(direction, step) { return Promise.reject(new Error(`${this.name}: volume not supported`)); }
+    mute() { return Promise.reject(new Error(`${this.name}: mute not supported`)); }
+    // { level: 0-100, muted }
+    volumeState() { return Promise.reject(new Error(`${this.name}: reading the volume not supported`)); }
+    media(action) { return Promise.reject(new Error(`${this.name}: media keys not supported`)); }
+    brightness(direction, step) { return Promise.reject(new Error(`${this.name}: brightness not supported`)); }
+    displaySleep() { return Promise.reject(new Error(`${this.name}: display sleep not supported`)); }
+    captureScreen(width, quality, region) { return Promise.reject(new Error(`${this.name}: screen capture not supported`)); }
+    setClipboard(text) { return Promise.reject(new Error(`${this.name}: clipboard not supported`)); }
+    getClipboard() { return Promise.reject(new Error(`${this.name}: clipboard not supported`)); }
+    // [{ id, title, app, active }] for the top-level windows the user can switch to
+    listWindows() { return Promise.reject(new Error(`${this.name}: window list not supported`)); }
+    focusWindow(id) { return Promise.reject(new Error(`${this.name}: switching windows not supported`)); }
+    closeWindow(id) { return Promise.reject(new Error(`${this.name}: closing windows not supported`)); }
+    // item: { kind: 'app' | 'url' | 'file', target, args } from the launch list
+    launch(item) { return Promise.reject(new Error(`${this.name}: launching not supported`)); }
+
+    // Tools each method needs, as alternatives: { method: [[tool, tool], [other tool]] }
+    requirements() { return {}; }
+
+    // Methods this backend implements whose tools are installed, and the tools that are missing
+    async probe() {
+        const requirements = this.requirements();
+        const checks = new Map();
+        const installed = tool => {
+            if (!checks.has(tool)) checks.set(tool, hasCommand(tool));
+            return checks.get(tool);
+        };
+
+        const methods = new Set();
+        const missing = new Set();
+        for (const method of Object.keys(COMMANDS_BY_METHOD)) {
+            if (this[method] === InputBackend.prototype[method]) continue;
+
+            const alternatives = requirements[method] || [[]];
+            let available = false;
+            for (const tools of alternatives) {
+                if ((await Promise.all(tools.map(installed))).every(Boolean)) {
+                    available = true;
+                    break;
                 }
-            });
-        } else if (this.platform === 'linux') {
-            exec('xdpyinfo | grep dimensions', (err, stdout) => {
-                if (!err && stdout) {
-                    const match = stdout.match(/(\d+)x(\d+)/);
-                    if (match) {
-                        this.screenWidth = parseInt(match[1]);
-                        this.screenHeight = parseInt(match[2]);
-                        console.log(`✅ Screen size detected: ${this.screenWidth}x${this.screenHeight}`);
-                    }
+            }
+
+            if (available) {
+                methods.add(method);
+            } else {
+                // Name the first (preferred) option in hints
+                for (const tool of alternatives[0]) {
+                    if (!(await installed(tool))) missing.add(tool);
                 }
-            });
+            }
         }
+        return { methods, missing: Array.from(missing) };
     }
+}
 
-    // Mouse control using platform-specific tools
-    moveMouse(x, y) {
-        console.log(`🖱️  Moving mouse to: ${x}, ${y}`);
-        
-        if (this.platform === 'darwin') {
-            // macOS - Try cliclick first (most reliable)
-            exec(`cliclick m:${x},${y}`, (err) => {
-                if (err) {
-                    // cliclick not installed - try alternative
-                    exec(`/opt/homebrew/bin/cliclick m:${x},${y}`, (err2) => {
-                        if (err2) {
-                            // Show installation message only once
-                            if (!this.cliclickWarningShown) {
-                                console.log('\n⚠️  CLICLICK NOT INSTALLED');
-                                console.log('To enable mouse control, install cliclick:');
-                                console.log('   brew install cliclick');
-                                console.log('Then restart the server.\n');
-                                this.cliclickWarningShown = true;
-                            }
-                        }
+// Linux - xdotool (X11)
+class XdotoolBackend extends InputBackend {
+    constructor() {
+        super('xdotool');
+        this.keyMap = {
+            'escape': 'Escape', 'enter': 'Return', 'tab': 'Tab',
+            'backspace': 'BackSpace', 'delete': 'Delete',
+            'up': 'Up', 'down': 'Down', 'left': 'Left', 'right': 'Right',
+            'pageup': 'Prior', 'pagedown': 'Next',
+            'home': 'Home', 'end': 'End', 'space': 'space'
+        };
+        this.modifierMap = { control: 'ctrl', shift: 'shift', alt: 'alt', command: 'super' };
+    }
+
+    requirements() {
+        const xdotool = [['xdotool']];
+        const audio = [['wpctl'], ['pactl'], ['amixer']];
+        return {
+            moveMouse: xdotool, moveMouseRelative: xdotool, click: xdotool, doubleClick: xdotool,
+            mouseDown: xdotool, mouseUp: xdotool, scroll: xdotool, type: xdotool, key: xdotool,
+            volume: audio, mute: audio,
+            media: [['playerctl'], ['xdotool']],
+            brightness: [['brightnessctl'], ['xbacklight']],
+            displaySleep: [['xset']],
+            captureScreen: [['import'], ['xwd', 'convert']],
+            setClipboard: [['xclip'], ['xsel']],
+            getClipboard: [['xclip'], ['xsel']],
+            listWindows: [['wmctrl']], focusWindow: [['wmctrl']], closeWindow: [['wmctrl']],
+            launch: [['xdg-open']]
+        };
+    }
+
+    // xrandr knows every monitor and its offset; xdpyinfo only the combined screen
+    async listDisplays() {
+        try {
+            const stdout = await run('xrandr', ['--listmonitors']);
+            const displays = [];
+            // e.g. " 1: +HDMI-1 1280/700x1024/390+1920+0  HDMI-1"
+            stdout.split('\n').forEach(line => {
+                const match = line.match(/^\s*\d+:\s+\+?(\*?)(\S+)\s+(\d+)\/\d+x(\d+)\/\d+\+(-?\d+)\+(-?\d+)/);
+                if (match) {
+                    displays.push({
+                        id: match[2],
+                        name: match[2],
+                        x: parseInt(match[5]),
+                        y: parseInt(match[6]),
+                        width: parseInt(match[3]),
+                        height: parseInt(match[4]),
+                        primary: match[1] === '*'
                     });
                 }
             });
-        } else if (this.platform === 'win32') {
-            // Windows - Using PowerShell
-            const ps = `Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${x}, ${y})`;
-            exec(`powershell -Command "${ps}"`, (err) => {
-                if (err) console.error('Mouse move error:', err.message);
-            });
-        } else if (this.platform === 'linux') {
-            // Linux - Use xdotool
-            exec(`xdotool mousemove ${x} ${y}`, (err) => {
-                if (err) console.error('Mouse move error (install xdotool):', err.message);
-            });
+            if (displays.length > 0) return displays;
+        } catch (err) {
+            // Fall through to xdpyinfo
         }
+
+        const stdout = await run('xdpyinfo');
+        const match = stdout.match(/dimensions:\s*(\d+)x(\d+)/);
+        if (!match) throw new Error('Could not parse xdpyinfo output');
+        return [{ id: 'screen', name: 'Screen', x: 0, y: 0, width: parseInt(match[1]), height: parseInt(match[2]), primary: true }];
     }
 
-    click(button = 'left') {
-        console.log(`👆 Clicking: ${button} button`);
-        
-        if (this.platform === 'darwin') {
-            // macOS - Try cliclick
-            const clickCmd = button === 'right' ? 'rc:.' : 'c:.';
-            exec(`cliclick ${clickCmd}`, (err) => {
-                if (err) {
-                    exec(`/opt/homebrew/bin/cliclick ${clickCmd}`, (err2) => {
-                        if (err2 && !this.cliclickWarningShown) {
-                            console.log('\n⚠️  Install cliclick for mouse control: brew install cliclick\n');
-                            this.cliclickWarningShown = true;
-                        }
-                    });
-                }
-            });
-        } else if (this.platform === 'win32') {
-            // Windows
-            const mouseEvent = button === 'right' ? '0x0008, 0, 0, 0, 0); [Mouse]::mouse_event(0x0010' : '0x0002, 0, 0, 0, 0); [Mouse]::mouse_event(0x0004';
-            const ps = `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern void mouse_event(int flags, int dx, int dy, int d, int ex);' -Name Mouse -Namespace W; [W.Mouse]::mouse_event(${mouseEvent}, 0, 0, 0, 0)`;
-            exec(`powershell -Command "${ps}"`, (err) => {
-                if (err) console.error('Click error:', err.message);
-            });
-        } else if (this.platform === 'linux') {
-            // Linux
-            const buttonNum = button === 'right' ? '3' : '1';
-            exec(`xdotool click ${buttonNum}`, (err) => {
-                if (err) console.error('Click error:', err.message);
-            });
+    moveMouse(x, y) {
+        return run('xdotool', ['mousemove', String(x), String(y)]);
+    }
+
+    moveMouseRelative(dx, dy) {
+        // '--' keeps negative offsets from being read as options
+        return run('xdotool', ['mousemove_relative', '--', String(dx), String(dy)]);
+    }
+
+    click(button) {
+        return run('xdotool', ['click', this.buttonNumber(button)]);
+    }
+
+    doubleClick(button) {
+        return run('xdotool', ['click', '--repeat', '2', this.buttonNumber(button)]);
+    }
+
+    mouseDown(button) {
+        return run('xdotool', ['mousedown', this.buttonNumber(button)]);
+    }
+
+    mouseUp(button) {
+        return run('xdotool', ['mouseup', this.buttonNumber(button)]);
+    }
+
+    buttonNumber(button) {
+        return { left: '1', middle: '2', right: '3' }[button];
+    }
+
+    scroll(direction, amount) {
+        const button = direction === 'down' ? '5' : '4';
+        return run('xdotool', ['click', '--repeat', String(amount), button]);
+    }
+
+    type(text) {
+        return run('xdotool', ['type', '--', text]);
+    }
+
+    key(key, modifiers) {
+        const keysym = this.keyMap[key] || (/^f\d+$/.test(key) ? key.toUpperCase() : key);
+        const combo = [...modifiers.map(mod => this.modifierMap[mod]), keysym].join('+');
+        return run('xdotool', ['key', '--', combo]);
+    }
+
+    // PipeWire (wpctl), then PulseAudio (pactl), then ALSA (amixer, through the pulse plugin if present)
+    volume(direction, step) {
+        const sign = direction === 'up' ? '+' : '-';
+        return runFirst([
+            ['wpctl', ['set-volume', '-l', '1.0', '@DEFAULT_AUDIO_SINK@', `${step}%${sign}`]],
+            ['pactl', ['set-sink-volume', '@DEFAULT_SINK@', `${sign}${step}%`]],
+            ['amixer', ['-D', 'pulse', 'sset', 'Master', `${step}%${sign}`]],
+            ['amixer', ['sset', 'Master', `${step}%${sign}`]]
+        ]);
+    }
+
+    mute() {
+        return runFirst([
+            ['wpctl', ['set-mute', '@DEFAULT_AUDIO_SINK@', 'toggle']],
+            ['pactl', ['set-sink-mute', '@DEFAULT_SINK@', 'toggle']],
+            ['amixer', ['-D', 'pulse', 'sset', 'Master', 'toggle']],
+            ['amixer', ['sset', 'Master', 'toggle']]
+        ]);
+    }
+
+    volumeState() {
+        return tryEach([
+            // "Volume: 0.45" or "Volume: 0.45 [MUTED]"
+            async () => {
+                const stdout = await run('wpctl', ['get-volume', '@DEFAULT_AUDIO_SINK@']);
+                const match = stdout.match(/Volume:\s*([\d.]+)/);
+                if (!match) throw new Error(`Unexpected wpctl output: ${stdout.trim()}`);
+                return { level: Math.round(parseFloat(match[1]) * 100), muted: stdout.includes('[MUTED]') };
+            },
+            // "Volume: front-left: 29491 /  45% / ..." and "Mute: yes"
+            async () => {
+                const volume = await run('pactl', ['get-sink-volume', '@DEFAULT_SINK@']);
+                const mute = await run('pactl', ['get-sink-mute', '@DEFAULT_SINK@']);
+                const match = volume.match(/(\d+)%/);
+                if (!match) throw new Error(`Unexpected pactl output: ${volume.trim()}`);
+                return { level: parseInt(match[1]), muted: /yes/.test(mute) };
+            },
+            // "Front Left: Playback 29491 [45%] [on]"
+            async () => {
+                const stdout = await runFirst([['amixer', ['-D', 'pulse', 'sget', 'Master']], ['amixer', ['sget', 'Master']]]);
+                const match = stdout.match(/\[(\d+)%\](?:.*\[(on|off)\])?/);
+                if (!match) throw new Error(`Unexpected amixer output: ${stdout.trim()}`);
+                return { level: parseInt(match[1]), muted: match[2] === 'off' };
+            }
+        ]);
+    }
+
+    // MPRIS players through playerctl, else the media key for whatever has focus
+    media(action) {
+        return runFirst([
+            ['playerctl', [action]],
+            ['xdotool', ['key', action === 'next' ? 'XF86AudioNext' : 'XF86AudioPrev']]
+        ]);
+    }
+
+    brightness(direction, step) {
+        return runFirst([
+            ['brightnessctl', ['set', `${step}%${direction === 'up' ? '+' : '-'}`]],
+            ['xbacklight', [direction === 'up' ? '-inc' : '-dec', String(step)]]
+        ]);
+    }
+
+    // Any mouse or key input wakes the displays again
+    displaySleep() {
+        return run('xset', ['dpms', 'force', 'off']);
+    }
+
+    // ImageMagick's import, or a raw xwd dump converted afterwards
+    async captureScreen(width, quality, region) {
+        const cropArgs = region ? ['-crop', `${region.width}x${region.height}+${region.x}+${region.y}`, '+repage'] : [];
+        const jpegArgs = [...cropArgs, '-resize', `${width}x`, '-quality', String(quality), 'jpg:-'];
+        const binary = { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024 };
+
+        try {
+            return await run('import', ['-silent', '-window', 'root', ...jpegArgs], binary);
+        } catch (err) {
+            const dump = await run('xwd', ['-root', '-silent'], binary);
+            return run('convert', ['xwd:-', ...jpegArgs], { ...binary, input: dump });
         }
     }
 
-    scroll(direction, amount = 3) {
-        console.log(`📜 Scrolling: ${direction} by ${amount}`);
-        
-        if (this.platform === 'darwin') {
-            // macOS - using scroll gestures
-            const scrollAmount = direction === 'down' ? amount : -amount;
-            exec(`osascript -e 'tell application "System Events" to tell process "System Events" to scroll {0, ${scrollAmount * 10}}'`, (err) => {
-                if (err) {
-                    // Fallback to key codes
-                    const keyCode = direction === 'down' ? '121' : '116';
-                    exec(`osascript -e 'tell application "System Events" to key code ${keyCode}'`);
-                }
-            });
-        } else if (this.platform === 'win32') {
-            // Windows
-            const scrollDir = direction === 'down' ? -120 : 120;
-            const ps = `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern void mouse_event(int flags, int dx, int dy, int d, int ex);' -Name Mouse -Namespace W; [W.Mouse]::mouse_event(0x0800, 0, 0, ${scrollDir * amount}, 0)`;
-            exec(`powershell -Command "${ps}"`, (err) => {
-                if (err) console.error('Scroll error:', err.message);
-            });
-        } else if (this.platform === 'linux') {
-            // Linux
-            const button = direction === 'down' ? '5' : '4';
-            exec(`xdotool click --repeat ${amount} ${button}`, (err) => {
-                if (err) console.error('Scroll error:', err.message);
+    // xclip, or xsel when xclip isn't installed (errors name xclip, the one to install)
+    async setClipboard(text) {
+        try {
+            await runDetached('xclip', ['-selection', 'clipboard'], text);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            await runDetached('xsel', ['--clipboard', '--input'], text).catch(fallbackErr => {
+                throw fallbackErr.code === 'ENOENT' ? err : fallbackErr;
             });
         }
     }
 
-    typeText(text) {
-        console.log(`⌨️  Typing: ${text.substring(0, 30)}${text.length > 30 ? '...' : ''}`);
-        
-        if (this.platform === 'darwin') {
-            // macOS - escape special characters properly
-            const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-            exec(`osascript -e 'tell application "System Events" to keystroke "${escaped}"'`, (err) => {
-                if (err) console.error('Type error:', err.message);
-            });
-        } else if (this.platform === 'win32') {
-            // Windows
-            const escaped = text.replace(/"/g, '""').replace(/\\/g, '\\\\');
-            const ps = `Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait("${escaped}")`;
-            exec(`powershell -Command "${ps}"`, (err) => {
-                if (err) console.error('Type error:', err.message);
-            });
-        } else if (this.platform === 'linux') {
-            // Linux
-            const escaped = text.replace(/"/g, '\\"').replace(/\\/g, '\\\\');
-            exec(`xdotool type "${escaped}"`, (err) => {
-                if (err) console.error('Type error:', err.message);
+    async getClipboard() {
+        try {
+            return await run('xclip', ['-selection', 'clipboard', '-out']);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            return run('xsel', ['--clipboard', '--output']).catch(fallbackErr => {
+                throw fallbackErr.code === 'ENOENT' ? err : fallbackErr;
             });
         }
     }
 
-    pressKey(key, modifier = null) {
-        console.log(`⌨️  Pressing key: ${modifier ? modifier + '+' : ''}${key}`);
-        
-        if (this.platform === 'darwin') {
-            // macOS key mappings
-            const keyMap = {
-                'escape': '53', 'enter': '36', 'tab': '48',
-                'backspace': '51', 'delete': '51',
-                'up': '126', 'down': '125', 'left': '123', 'right': '124',
-                'pageup': '116', 'pagedown': '121',
-                'home': '115', 'end': '119', 'space': '49',
-                'f5': '96', 'f11': '103'
-            };
-            
-            const keyCode = keyMap[key.toLowerCase()] || key;
-            let modStr = '';
-            
-            if (modifier) {
-                const mods = Array.isArray(modifier) ? modifier : [modifier];
-                const modParts = [];
-                if (mods.includes('control')) modParts.push('control down');
-                if (mods.includes('command')) modParts.push('command down');
-                if (mods.includes('shift')) modParts.push('shift down');
-                if (mods.includes('option') || mods.includes('alt')) modParts.push('option down');
-                modStr = modParts.length > 0 ? ` using {${modParts.join(', ')}}` : '';
+    // "0x04000007  0 gnome-terminal-server.Gnome-terminal  host  Title" - desktop -1 are panels and docks
+    async listWindows() {
+        const stdout = await run('wmctrl', ['-lx']);
+        let active = null;
+        try {
+            active = parseInt(await run('xdotool', ['getactivewindow']));
+        } catch (err) {
+            // Only used to highlight the focused window
+        }
+        return stdout.split('\n')
+            .map(line => line.match(/^(0x[0-9a-f]+)\s+(-?\d+)\s+(\S+)\s+\S+\s?(.*)$/i))
+            .filter(match => match && match[2] !== '-1')
+            .map(([, id, , wmClass, title]) => ({
+                id: id,
+                title: title.trim(),
+                app: wmClass.split('.').pop(),
+                active: parseInt(id, 16) === active
+            }));
+    }
+
+    focusWindow(id) {
+        return run('wmctrl', ['-i', '-a', id]);
+    }
+
+    // Asks politely - the app may still show its "save changes?" dialog
+    closeWindow(id) {
+        return run('wmctrl', ['-i', '-c', id]);
+    }
+
+    launch(item) {
+        if (item.kind === 'app') return launchDetached(item.target, item.args);
+        return launchDetached('xdg-open', [item.target]);
+    }
+}
+
+// macOS - cliclick for the pointer, AppleScript (osascript) for keyboard and volume
+class MacBackend extends InputBackend {
+    constructor() {
+        super('macos');
+        this.keyCodes = {
+            'escape': 53, 'enter': 36, 'tab': 48,
+            'backspace': 51, 'delete': 117,
+            'up': 126, 'down': 125, 'left': 123, 'right': 124,
+            'pageup': 116, 'pagedown': 121,
+            'home': 115, 'end': 119, 'space': 49,
+            'f1': 122, 'f2': 120, 'f3': 99, 'f4': 118, 'f5': 96, 'f6': 97,
+            'f7': 98, 'f8': 100, 'f9': 101, 'f10': 109, 'f11': 103, 'f12': 111
+        };
+        this.modifierMap = { control: 'control down', shift: 'shift down', alt: 'option down', command: 'command down' };
+        this.cliclickWarningShown = false;
+    }
+
+    requirements() {
+        const cliclick = [['cliclick'], ['/opt/homebrew/bin/cliclick']];
+        const osascript = [['osascript']];
+        return {
+            moveMouse: cliclick, moveMouseRelative: cliclick, click: cliclick, doubleClick: cliclick,
+            mouseDown: cliclick, mouseUp: cliclick,
+            scroll: osascript, type: osascript, key: osascript, volume: osascript,
+            mute: osascript, media: osascript, brightness: osascript,
+            displaySleep: [['pmset']],
+            captureScreen: [['screencapture', 'sips']],
+            setClipboard: [['pbcopy']],
+            getClipboard: [['pbpaste']],
+            listWindows: osascript, focusWindow: osascript, closeWindow: osascript,
+            launch: [['open']]
+        };
+    }
+
+    // NSScreen frames are in points with a bottom-left origin; cliclick wants top-left
+    async listDisplays() {
+        const script = [
+            'ObjC.import("AppKit");',
+            'const screens = $.NSScreen.screens; const out = [];',
+            'for (let i = 0; i < screens.count; i++) {',
+            '  const s = screens.objectAtIndex(i); const f = s.frame;',
+            '  out.push({ name: s.localizedName.js, x: f.origin.x, y: f.origin.y, width: f.size.width, height: f.size.height });',
+            '}',
+            'JSON.stringify(out);'
+        ].join('\n');
+        const screens = JSON.parse(await run('osascript', ['-l', 'JavaScript', '-e', script]));
+        const mainHeight = screens[0].height;
+
+        return screens.map((screen, index) => ({
+            id: String(index),
+            name: screen.name || `Display ${index + 1}`,
+            x: Math.round(screen.x),
+            y: Math.round(mainHeight - (screen.y + screen.height)),
+            width: Math.round(screen.width),
+            height: Math.round(screen.height),
+            primary: index === 0
+        }));
+    }
+
+    cliclick(args) {
+        return runFirst([
+            ['cliclick', args],
+            ['/opt/homebrew/bin/cliclick', args]
+        ]).catch(err => {
+            // Show installation message only once
+            if (!this.cliclickWarningShown) {
+                console.log('\n⚠️  CLICLICK NOT INSTALLED');
+                console.log('To enable mouse control, install cliclick:');
+                console.log('   brew install cliclick');
+                console.log('Then restart the server.\n');
+                this.cliclickWarningShown = true;
             }
-            
-            exec(`osascript -e 'tell application "System Events" to key code ${keyCode}${modStr}'`, (err) => {
-                if (err) console.error('Key press error:', err.message);
-            });
-        } else if (this.platform === 'win32') {
-            // Windows key mappings
-            const keyMap = {
-                'escape': '{ESC}', 'enter': '{ENTER}', 'tab': '{TAB}',
-                'backspace': '{BACKSPACE}', 'delete': '{DELETE}',
-                'up': '{UP}', 'down': '{DOWN}', 'left': '{LEFT}', 'right': '{RIGHT}',
-                'pageup': '{PGUP}', 'pagedown': '{PGDN}',
-                'home': '{HOME}', 'end': '{END}', 'space': ' ',
-                'f5': '{F5}', 'f11': '{F11}'
+            throw err;
+        });
+    }
+
+    // User-supplied values reach AppleScript as argv items, never as script source
+    osascript(lines, args = []) {
+        const script = ['on run argv', ...lines, 'end run'];
+        return run('osascript', [...script.flatMap(line => ['-e', line]), '--', ...args.map(String)]);
+    }
+
+    moveMouse(x, y) {
+        return this.cliclick([`m:${x},${y}`]);
+    }
+
+    moveMouseRelative(dx, dy) {
+        const offset = (value) => (value >= 0 ? `+${value}` : String(value));
+        return this.cliclick([`m:${offset(dx)},${offset(dy)}`]);
+    }
+
+    click(button) {
+        // cliclick has no middle button, fall back to a plain click
+        return this.cliclick([button === 'right' ? 'rc:.' : 'c:.']);
+    }
+
+    doubleClick(button) {
+        if (button === 'right') return this.cliclick(['rc:.', 'rc:.']);
+        return this.cliclick(['dc:.']);
+    }
+
+    // cliclick can only hold down the left button
+    mouseDown(button) {
+        if (button !== 'left') return Promise.reject(new Error('cliclick can only drag with the left button'));
+        return this.cliclick(['dd:.']);
+    }
+
+    mouseUp(button) {
+        if (button !== 'left') return Promise.reject(new Error('cliclick can only drag with the left button'));
+        return this.cliclick(['du:.']);
+    }
+
+    scroll(direction, amount) {
+        const scrollAmount = direction === 'down' ? amount : -amount;
+        return this.osascript([
+            'tell application "System Events" to tell process "System Events" to scroll {0, (item 1 of argv as integer)}'
+        ], [scrollAmount * 10]).catch(() => {
+            // Fallback to page keys
+            return this.key(direction === 'down' ? 'pagedown' : 'pageup', []);
+        });
+    }
+
+    type(text) {
+        return this.osascript(['tell application "System Events" to keystroke (item 1 of argv)'], [text]);
+    }
+
+    key(key, modifiers) {
+        // Modifier names come from a fixed whitelist, so they can be spliced into the script
+        const using = modifiers.length > 0
+            ? ` using {${modifiers.map(mod => this.modifierMap[mod]).join(', ')}}`
+            : '';
+
+        if (this.keyCodes[key] !== undefined) {
+            return this.osascript([`tell application "System Events" to key code (item 1 of argv as integer)${using}`], [this.keyCodes[key]]);
+        }
+        return this.osascript([`tell application "System Events" to keystroke (item 1 of argv)${using}`], [key]);
+    }
+
+    volume(direction, step) {
+        return this.osascript([
+            'set volume output volume (output volume of (get volume settings) + (item 1 of argv as integer))'
+        ], [direction === 'up' ? step : -step]);
+    }
+
+    mute() {
+        return this.osascript(['set volume output muted not (output muted of (get volume settings))']);
+    }
+
+    async volumeState() {
+        const stdout = await this.osascript([
+            'set settings to get volume settings',
+            'return (output volume of settings as text) & "," & (output muted of settings as text)'
+        ]);
+        const [level, muted] = stdout.trim().split(',');
+        return { level: parseInt(level), muted: muted === 'true' };
+    }
+
+    // Media keys are system-defined events System Events can't send, so post them through
+    // AppKit (NX_KEYTYPE_NEXT 17, NX_KEYTYPE_PREVIOUS 18); Music is the fallback
+    media(action) {
+        const script = [
+            "ObjC.import('Cocoa');",
+            'function run(argv) {',
+            '    const key = parseInt(argv[0]);',
+            '    [0xa00, 0xb00].forEach(state => {',
+            '        const event = $.NSEvent.otherEventWithTypeLocationModifierFlagsTimestampWindowNumberContextSubtypeData1Data2(',
+            '            14, $.NSMakePoint(0, 0), state, 0, 0, null, 8, (key << 16) | state, -1);',
+            '        $.CGEventPost(0, event.CGEvent);',
+            '    });',
+            '}'
+        ].join('\n');
+        return tryEach([
+            () => run('osascript', ['-l', 'JavaScript', '-e', script, action === 'next' ? '17' : '18']),
+            () => this.osascript([`tell application "Music" to ${action === 'next' ? 'next' : 'previous'} track`])
+        ]);
+    }
+
+    // The keyboard's brightness keys (key codes 144/145) move about 6% per press
+    brightness(direction, step) {
+        return this.osascript([
+            'repeat (item 1 of argv as integer) times',
+            `tell application "System Events" to key code ${direction === 'up' ? 144 : 145}`,
+            'end repeat'
+        ], [Math.max(1, Math.round(step / 6.25))]);
+    }
+
+    displaySleep() {
+        return run('pmset', ['displaysleepnow']);
+    }
+
+    // screencapture writes a file; sips downscales and recompresses it in place
+    async captureScreen(width, quality, region) {
+        const file = path.join(os.tmpdir(), `classroom-preview-${process.pid}.jpg`);
+        const regionArgs = region ? ['-R', `${region.x},${region.y},${region.width},${region.height}`] : [];
+        try {
+            await run('screencapture', ['-x', ...regionArgs, '-t', 'jpg', file]);
+            await run('sips', ['--resampleWidth', String(width), '-s', 'format', 'jpeg', '-s', 'formatOptions', String(quality), file, '--out', file]);
+            return await fs.promises.readFile(file);
+        } finally {
+            fs.promises.unlink(file).catch(() => {});
+        }
+    }
+
+    // pbcopy/pbpaste pick the text encoding from the locale, which launchd often leaves unset
+    setClipboard(text) {
+        return run('pbcopy', [], { input: text, env: { ...process.env, LANG: 'en_US.UTF-8' } });
+    }
+
+    getClipboard() {
+        return run('pbpaste', [], { env: { ...process.env, LANG: 'en_US.UTF-8' } });
+    }
+
+    // Window ids are "pid:index" - System Events has no stable window ids
+    async listWindows() {
+        const stdout = await this.osascript([
+            'set output to ""',
+            'tell application "System Events"',
+            'repeat with proc in (processes whose background only is false)',
+            'set i to 0',
+            'repeat with win in windows of proc',
+            'set i to i + 1',
+            'set output to output & (unix id of proc) & tab & i & tab & (name of proc) & tab & (frontmost of proc) & tab & (name of win as text) & linefeed',
+            'end repeat',
+            'end repeat',
+            'end tell',
+            'return output'
+        ]);
+        return stdout.split('\n').filter(Boolean).map(line => {
+            const [pid, index, app, frontmost, ...title] = line.split('\t');
+            return { id: `${pid}:${index}`, title: title.join('\t'), app: app, active: frontmost === 'true' && index === '1' };
+        });
+    }
+
+    windowScript(id, action) {
+        const [pid, index] = String(id).split(':');
+        return this.osascript([
+            'tell application "System Events"',
+            'set proc to first process whose unix id is (item 1 of argv as integer)',
+            'set win to window (item 2 of argv as integer) of proc',
+            ...action,
+            'end tell'
+        ], [parseInt(pid) || 0, parseInt(index) || 0]);
+    }
+
+    focusWindow(id) {
+        return this.windowScript(id, ['set frontmost of proc to true', 'perform action "AXRaise" of win']);
+    }
+
+    closeWindow(id) {
+        return this.windowScript(id, ['click (first button of win whose subrole is "AXCloseButton")']);
+    }
+
+    launch(item) {
+        if (item.kind === 'app') {
+            return run('open', ['-a', item.target, ...(item.args.length ? ['--args', ...item.args] : [])]);
+        }
+        return run('open', [item.target]);
+    }
+}
+
+// Windows - PowerShell with arguments handed over in environment variables
+class WindowsBackend extends InputBackend {
+    constructor() {
+        super('powershell');
+        this.keyMap = {
+            'escape': '{ESC}', 'enter': '{ENTER}', 'tab': '{TAB}',
+            'backspace': '{BACKSPACE}', 'delete': '{DELETE}',
+            'up': '{UP}', 'down': '{DOWN}', 'left': '{LEFT}', 'right': '{RIGHT}',
+            'pageup': '{PGUP}', 'pagedown': '{PGDN}',
+            'home': '{HOME}', 'end': '{END}', 'space': ' '
+        };
+        this.modifierMap = { control: '^', shift: '+', alt: '%', command: '' };
+        this.mouseEvent = `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern void mouse_event(int flags, int dx, int dy, int d, int ex);' -Name Mouse -Namespace W`;
+    }
+
+    // Everything goes through PowerShell
+    requirements() {
+        return Object.fromEntries(Object.keys(COMMANDS_BY_METHOD).map(method => [method, [['powershell']]]));
+    }
+
+    powershell(script, env = {}, input = undefined) {
+        return run('powershell', ['-NoProfile', '-NonInteractive', '-Command', script], {
+            env: { ...process.env, ...env },
+            input: input
+        });
+    }
+
+    async listDisplays() {
+        const stdout = await this.powershell('Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.Screen]::AllScreens | ForEach-Object { "$($_.DeviceName)|$($_.Bounds.X)|$($_.Bounds.Y)|$($_.Bounds.Width)|$($_.Bounds.Height)|$($_.Primary)" }');
+        const displays = stdout.trim().split('\n').filter(Boolean).map(line => {
+            const [deviceName, x, y, width, height, primary] = line.trim().split('|');
+            // "\\.\DISPLAY1" -> "DISPLAY1"
+            const name = deviceName.replace(/^\\\\\.\\/, '');
+            return {
+                id: name,
+                name: name,
+                x: parseInt(x),
+                y: parseInt(y),
+                width: parseInt(width),
+                height: parseInt(height),
+                primary: primary === 'True'
             };
-            
-            const winKey = keyMap[key.toLowerCase()] || key;
-            let modPrefix = '';
-            
-            if (modifier) {
-                if (modifier === 'control' || modifier === 'ctrl') modPrefix = '^';
-                else if (modifier === 'shift') modPrefix = '+';
-                else if (modifier === 'alt') modPrefix = '%';
+        });
+        if (displays.length === 0) throw new Error('Could not parse screen bounds');
+        return displays;
+    }
+
+    moveMouse(x, y) {
+        return this.powershell(
+            'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point([int]$env:CC_X, [int]$env:CC_Y)',
+            { CC_X: String(x), CC_Y: String(y) }
+        );
+    }
+
+    moveMouseRelative(dx, dy) {
+        return this.powershell(
+            'Add-Type -AssemblyName System.Windows.Forms; $p = [System.Windows.Forms.Cursor]::Position; [System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(($p.X + [int]$env:CC_DX), ($p.Y + [int]$env:CC_DY))',
+            { CC_DX: String(dx), CC_DY: String(dy) }
+        );
+    }
+
+    buttonFlags(button) {
+        return { left: [0x0002, 0x0004], middle: [0x0020, 0x0040], right: [0x0008, 0x0010] }[button];
+    }
+
+    click(button) {
+        const [down, up] = this.buttonFlags(button);
+        return this.powershell(`${this.mouseEvent}; [W.Mouse]::mouse_event(${down}, 0, 0, 0, 0); [W.Mouse]::mouse_event(${up}, 0, 0, 0, 0)`);
+    }
+
+    doubleClick(button) {
+        const [down, up] = this.buttonFlags(button);
+        const click = `[W.Mouse]::mouse_event(${down}, 0, 0, 0, 0); [W.Mouse]::mouse_event(${up}, 0, 0, 0, 0)`;
+        return this.powershell(`${this.mouseEvent}; ${click}; ${click}`);
+    }
+
+    mouseDown(button) {
+        return this.powershell(`${this.mouseEvent}; [W.Mouse]::mouse_event(${this.buttonFlags(button)[0]}, 0, 0, 0, 0)`);
+    }
+
+    mouseUp(button) {
+        return this.powershell(`${this.mouseEvent}; [W.Mouse]::mouse_event(${this.buttonFlags(button)[1]}, 0, 0, 0, 0)`);
+    }
+
+    scroll(direction, amount) {
+        const delta = (direction === 'down' ? -120 : 120) * amount;
+        return this.powershell(`${this.mouseEvent}; [W.Mouse]::mouse_event(0x0800, 0, 0, [int]$env:CC_DELTA, 0)`, { CC_DELTA: String(delta) });
+    }
+
+    type(text) {
+        // SendKeys treats these characters as syntax, so wrap each one in braces
+        const escaped = text.replace(/[+^%~(){}[\]]/g, '{$&}');
+        return this.powershell(
+            'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait($env:CC_TEXT)',
+            { CC_TEXT: escaped }
+        );
+    }
+
+    key(key, modifiers) {
+        const winKey = this.keyMap[key] || (/^f\d+$/.test(key) ? `{${key.toUpperCase()}}` : key);
+        const prefix = modifiers.map(mod => this.modifierMap[mod]).join('');
+        return this.powershell(
+            'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait($env:CC_KEYS)',
+            { CC_KEYS: prefix + winKey }
+        );
+    }
+
+    // Each media key press moves the Windows mixer by 2%
+    volume(direction, step) {
+        return this.powershell(
+            `$s = New-Object -ComObject WScript.Shell; 1..[int]$env:CC_PRESSES | ForEach-Object { $s.SendKeys([char]${direction === 'up' ? 175 : 174}) }`,
+            { CC_PRESSES: String(Math.max(1, Math.round(step / 2))) }
+        );
+    }
+
+    // Media keys: 173 mute, 176 next track, 177 previous track
+    mediaKey(code) {
+        return this.powershell(`(New-Object -ComObject WScript.Shell).SendKeys([char]${code})`);
+    }
+
+    mute() {
+        return this.mediaKey(173);
+    }
+
+    media(action) {
+        return this.mediaKey(action === 'next' ? 176 : 177);
+    }
+
+    // Laptop panels and some monitors answer WMI; most projectors don't
+    brightness(direction, step) {
+        return this.powershell([
+            '$current = (Get-CimInstance -Namespace root/WMI -ClassName WmiMonitorBrightness).CurrentBrightness | Select-Object -First 1',
+            '$level = [Math]::Max(0, [Math]::Min(100, $current + [int]$env:CC_STEP))',
+            'Get-CimInstance -Namespace root/WMI -ClassName WmiMonitorBrightnessMethods | Invoke-CimMethod -MethodName WmiSetBrightness -Arguments @{ Timeout = 1; Brightness = [byte]$level }'
+        ].join('; '), { CC_STEP: String(direction === 'up' ? step : -step) });
+    }
+
+    // SC_MONITORPOWER with 2 = off; moving the mouse wakes the displays
+    displaySleep() {
+        return this.powershell([
+            `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern int SendMessage(int hWnd, int msg, int wParam, int lParam);' -Name Power -Namespace W`,
+            '[W.Power]::SendMessage(0xFFFF, 0x0112, 0xF170, 2) | Out-Null'
+        ].join('; '));
+    }
+
+    // The JPEG comes back base64-encoded on stdout
+    async captureScreen(width, quality, region) {
+        const bounds = region
+            ? '$b = New-Object System.Drawing.Rectangle ([int]$env:CC_X), ([int]$env:CC_Y), ([int]$env:CC_W), ([int]$env:CC_H)'
+            : '$b = [System.Windows.Forms.SystemInformation]::VirtualScreen';
+        const script = [
+            'Add-Type -AssemblyName System.Windows.Forms, System.Drawing',
+            bounds,
+            '$full = New-Object System.Drawing.Bitmap $b.Width, $b.Height',
+            '$g = [System.Drawing.Graphics]::FromImage($full)',
+            '$g.CopyFromScreen($b.Left, $b.Top, 0, 0, $full.Size)',
+            '$w = [int]$env:CC_WIDTH; $h = [int]($b.Height * $w / $b.Width)',
+            '$small = New-Object System.Drawing.Bitmap $full, $w, $h',
+            '$codec = [System.Drawing.Imaging.ImageCodecInfo]::GetImageEncoders() | Where-Object { $_.MimeType -eq "image/jpeg" }',
+            '$params = New-Object System.Drawing.Imaging.EncoderParameters 1',
+            '$params.Param[0] = New-Object System.Drawing.Imaging.EncoderParameter ([System.Drawing.Imaging.Encoder]::Quality), ([long]$env:CC_QUALITY)',
+            '$ms = New-Object System.IO.MemoryStream',
+            '$small.Save($ms, $codec, $params)',
+            '[Convert]::ToBase64String($ms.ToArray())'
+        ].join('; ');
+        const env = { CC_WIDTH: String(width), CC_QUALITY: String(quality) };
+        if (region) {
+            Object.assign(env, { CC_X: String(region.x), CC_Y: String(region.y), CC_W: String(region.width), CC_H: String(region.height) });
+        }
+        const stdout = await this.powershell(script, env);
+        return Buffer.from(stdout.trim(), 'base64');
+    }
+
+    // Text crosses the pipe as base64 so the console code page can't mangle it
+    setClipboard(text) {
+        return this.powershell(
+            'Set-Clipboard -Value ([Text.Encoding]::UTF8.GetString([Convert]::FromBase64String([Console]::In.ReadToEnd())))',
+            {},
+            Buffer.from(text, 'utf8').toString('base64')
+        );
+    }
+
+    async getClipboard() {
+        const stdout = await this.powershell('[Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes("$(Get-Clipboard -Raw)"))');
+        return Buffer.from(stdout.trim(), 'base64').toString('utf8');
+    }
+
+    // Each process's main window; the handle is the id. Titles come back as base64 JSON
+    // so they survive the console code page.
+    async listWindows() {
+        const stdout = await this.powershell([
+            `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();' -Name Foreground -Namespace W`,
+            '$active = [W.Foreground]::GetForegroundWindow()',
+            '$windows = Get-Process | Where-Object { $_.MainWindowHandle -ne 0 -and $_.MainWindowTitle } | ForEach-Object { [PSCustomObject]@{ id = [string]$_.MainWindowHandle; title = $_.MainWindowTitle; app = $_.ProcessName; active = ($_.MainWindowHandle -eq $active) } }',
+            '[Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes((ConvertTo-Json -Compress -InputObject @($windows))))'
+        ].join('; '));
+        return JSON.parse(Buffer.from(stdout.trim(), 'base64').toString('utf8'));
+    }
+
+    windowCall(id, script) {
+        return this.powershell([
+            `Add-Type -MemberDefinition '[DllImport("user32.dll")] public static extern bool SetForegroundWindow(IntPtr h); [DllImport("user32.dll")] public static extern bool ShowWindowAsync(IntPtr h, int cmd); [DllImport("user32.dll")] public static extern bool IsIconic(IntPtr h); [DllImport("user32.dll")] public static extern bool PostMessage(IntPtr h, int msg, int w, int l);' -Name Window -Namespace W`,
+            '$h = [IntPtr][long]$env:CC_WINDOW',
+            script
+        ].join('; '), { CC_WINDOW: String(parseInt(id) || 0) });
+    }
+
+    // Minimised windows are restored first (9 = SW_RESTORE)
+    focusWindow(id) {
+        return this.windowCall(id, 'if ([W.Window]::IsIconic($h)) { [W.Window]::ShowWindowAsync($h, 9) | Out-Null }; [W.Window]::SetForegroundWindow($h) | Out-Null');
+    }
+
+    // WM_CLOSE, the same as clicking the window's X
+    closeWindow(id) {
+        return this.windowCall(id, '[W.Window]::PostMessage($h, 0x0010, 0, 0) | Out-Null');
+    }
+
+    launch(item) {
+        return this.powershell(
+            '$a = @($env:CC_ARGS | ConvertFrom-Json); if ($a.Count) { Start-Process -FilePath $env:CC_TARGET -ArgumentList $a } else { Start-Process -FilePath $env:CC_TARGET }',
+            { CC_TARGET: item.target, CC_ARGS: JSON.stringify(item.kind === 'app' ? item.args : []) }
+        );
+    }
+}
+
+// Headless backend: performs nothing, just records what it was asked to do
+class RecordingBackend extends InputBackend {
+    constructor() {
+        super('recording');
+        this.actions = [];
+        this.audio = { level: 50, muted: false };
+        this.windows = [
+            { id: '0x1', title: 'Lesson 4.pptx', app: 'PowerPoint', active: true },
+            { id: '0x2', title: 'Class Site - Browser', app: 'Browser', active: false }
+        ];
+        this.maxActions = 1000;
+    }
+
+    record(action, args) {
+        this.actions.push({ action, args, time: new Date().toISOString() });
+        if (this.actions.length > this.maxActions) this.actions.shift();
+        console.log(`🧪 [recording] ${action} ${JSON.stringify(args)}`);
+        return Promise.resolve();
+    }
+
+    clear() {
+        this.actions = [];
+    }
+
+    listDisplays() { return Promise.resolve([{ id: 'screen', name: 'Screen', x: 0, y: 0, width: 1920, height: 1080, primary: true }]); }
+    moveMouse(x, y) { return this.record('moveMouse', { x, y }); }
+    moveMouseRelative(dx, dy) { return this.record('moveMouseRelative', { dx, dy }); }
+    click(button) { return this.record('click', { button }); }
+    doubleClick(button) { return this.record('doubleClick', { button }); }
+    mouseDown(button) { return this.record('mouseDown', { button }); }
+    mouseUp(button) { return this.record('mouseUp', { button }); }
+    scroll(direction, amount) { return this.record('scroll', { direction, amount }); }
+    type(text) { return this.record('type', { text }); }
+    key(key, modifiers) { return this.record('key', { key, modifiers }); }
+    volume(direction, step) {
+        this.audio.level = clamp(this.audio.level + (direction === 'up' ? step : -step), 0, 100);
+        return this.record('volume', { direction, step });
+    }
+
+    mute() {
+        this.audio.muted = !this.audio.muted;
+        return this.record('mute', {});
+    }
+
+    volumeState() { return Promise.resolve({ ...this.audio }); }
+    media(action) { return this.record('media', { action }); }
+    brightness(direction, step) { return this.record('brightness', { direction, step }); }
+    displaySleep() { return this.record('displaySleep', {}); }
+
+    setClipboard(text) {
+        this.clipboard = text;
+        return this.record('setClipboard', { text });
+    }
+
+    getClipboard() {
+        return this.record('getClipboard', {}).then(() => this.clipboard || '');
+    }
+
+    listWindows() { return Promise.resolve(this.windows.map(window => ({ ...window }))); }
+
+    focusWindow(id) {
+        if (!this.windows.some(window => window.id === id)) return Promise.reject(new Error(`No window ${id}`));
+        this.windows.forEach(window => { window.active = window.id === id; });
+        return this.record('focusWindow', { id });
+    }
+
+    closeWindow(id) {
+        if (!this.windows.some(window => window.id === id)) return Promise.reject(new Error(`No window ${id}`));
+        this.windows = this.windows.filter(window => window.id !== id);
+        return this.record('closeWindow', { id });
+    }
+
+    launch(item) { return this.record('launch', { kind: item.kind, target: item.target, args: item.args }); }
+}
+
+function createInputBackend(name, platform) {
+    const backends = {
+        xdotool: XdotoolBackend,
+        macos: MacBackend,
+        powershell: WindowsBackend,
+        recording: RecordingBackend
+    };
+    const defaults = { linux: 'xdotool', darwin: 'macos', win32: 'powershell' };
+
+    const backendName = name || defaults[platform];
+    if (!backendName) {
+        console.log(`⚠️  No input backend for ${platform} - recording actions only`);
+        return new RecordingBackend();
+    }
+
+    const Backend = backends[backendName];
+    if (!Backend) {
+        throw new Error(`Unknown input backend "${backendName}" (choose from: ${Object.keys(backends).join(', ')})`);
+    }
+    return new Backend();
+}
+
+// Screen capture and control utilities
+class ScreenController extends EventEmitter {
+    constructor(backend, options = {}) {
+        super();
+        this.screenWidth = 1920;
+        this.screenHeight = 1080;
+        this.displays = [{ id: 'screen', name: 'Screen', x: 0, y: 0, width: 1920, height: 1080, primary: true }];
+        this.platform = os.platform();
+        this.backend = backend || createInputBackend(null, this.platform);
+        // Relative pointer tuning: base gain, and how much faster swipes move further
+        this.pointerSensitivity = options.pointerSensitivity || 1.5;
+        this.pointerAcceleration = options.pointerAcceleration !== undefined ? options.pointerAcceleration : 0.8;
+        // Scroll amounts from the phone are multiplied by scrollStep; volume moves volumeStep percent
+        this.scrollStep = options.scrollStep || 1;
+        this.volumeStep = options.volumeStep || 5;
+        this.brightnessStep = options.brightnessStep || 10;
+        // Last known { level, muted } of the default output, null until read
+        this.volume = null;
+        this.blanked = false;
+        this.blankedBy = null;
+        this.pointerRemainder = { x: 0, y: 0 };
+        // Filled in by probe(); until then everything is assumed to work
+        this.unsupported = new Set();
+        this.missingTools = [];
+        this.detectDisplays();
+        
+        // Projectors get plugged in mid-lesson, so keep checking the layout
+        this.displayTimer = setInterval(() => this.detectDisplays(), options.displayPollInterval || 5000);
+        this.displayTimer.unref();
+    }
+
+    // Check which helper tools are installed and which commands therefore can't work here
+    async probe() {
+        const { methods, missing } = await this.backend.probe();
+        this.unsupported = new Set();
+        Object.entries(COMMANDS_BY_METHOD).forEach(([method, commands]) => {
+            if (!methods.has(method)) commands.forEach(command => this.unsupported.add(command));
+        });
+        this.missingTools = missing;
+        return this.unsupported;
+    }
+
+    detectDisplays() {
+        return this.backend.listDisplays().then(displays => {
+            if (JSON.stringify(displays) === JSON.stringify(this.displays)) return;
+            
+            this.displays = displays;
+            // screenWidth/screenHeight describe the primary display for older controllers
+            const primary = displays.find(display => display.primary) || displays[0];
+            this.screenWidth = primary.width;
+            this.screenHeight = primary.height;
+            
+            console.log(`✅ Displays detected: ${displays.map(d => `${d.name} ${d.width}x${d.height}+${d.x}+${d.y}`).join(', ')}`);
+            this.emit('displays', displays);
+        }).catch(() => {
+            // Keep the last known layout
+        });
+    }
+
+    getDisplay(id) {
+        return this.displays.find(display => display.id === id) || null;
+    }
+
+    // Rectangle around every display - the area absolute pointer moves may reach
+    bounds() {
+        const left = Math.min(...this.displays.map(d => d.x));
+        const top = Math.min(...this.displays.map(d => d.y));
+        const right = Math.max(...this.displays.map(d => d.x + d.width));
+        const bottom = Math.max(...this.displays.map(d => d.y + d.height));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    // Mouse control through the input backend
+    moveMouse(x, y) {
+        console.log(`🖱️  Moving mouse to: ${x}, ${y}`);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return Promise.reject(new Error('Mouse coordinates must be numbers'));
+        }
+        return this.backend.moveMouse(Math.round(x), Math.round(y));
+    }
+
+    // Trackpad-style movement: finger deltas are scaled by speed, sub-pixel leftovers carried over.
+    // `samples` is how many touch moves were merged into this one, so speed stays per move.
+    moveMouseRelative(dx, dy, samples = 1) {
+        if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+            return Promise.reject(new Error('Mouse offsets must be numbers'));
+        }
+        
+        const speed = Math.hypot(dx, dy) / samples;
+        const gain = this.pointerSensitivity * (1 + this.pointerAcceleration * Math.min(speed, 50) / 10);
+        const x = dx * gain + this.pointerRemainder.x;
+        const y = dy * gain + this.pointerRemainder.y;
+        const moveX = Math.trunc(x);
+        const moveY = Math.trunc(y);
+        this.pointerRemainder = { x: x - moveX, y: y - moveY };
+        
+        if (moveX === 0 && moveY === 0) return Promise.resolve();
+        return this.backend.moveMouseRelative(moveX, moveY);
+    }
+
+    // Rejected promise for anything but a known button, null otherwise
+    invalidButton(button) {
+        if (['left', 'middle', 'right'].includes(button)) return null;
+        return Promise.reject(new Error(`Unsupported mouse button: ${button}`));
+    }
+
+    click(button = 'left') {
+        console.log(`👆 Clicking: ${button} button`);
+        return this.invalidButton(button) || this.backend.click(button);
+    }
+
+    doubleClick(button = 'left') {
+        console.log(`👆 Double-clicking: ${button} button`);
+        return this.invalidButton(button) || this.backend.doubleClick(button);
+    }
+
+    mouseDown(button = 'left') {
+        console.log(`✊ Mouse down: ${button} button`);
+        return this.invalidButton(button) || this.backend.mouseDown(button);
+    }
+
+    mouseUp(button = 'left') {
+        console.log(`✋ Mouse up: ${button} button`);
+        return this.invalidButton(button) || this.backend.mouseUp(button);
+    }
+
+    scroll(direction, amount = 3) {
+        console.log(`📜 Scrolling: ${direction} by ${amount}`);
+        if (direction !== 'up' && direction !== 'down') {
+            return Promise.reject(new Error(`Unsupported scroll direction: ${direction}`));
+        }
+        if (!Number.isFinite(amount)) {
+            return Promise.reject(new Error('Scroll amount must be a number'));
+        }
+        return this.backend.scroll(direction, Math.max(1, Math.round(amount * this.scrollStep)));
+    }
+
+    typeText(text) {
+        if (typeof text !== 'string') {
+            return Promise.reject(new Error('Text must be a string'));
+        }
+        console.log(`⌨️  Typing: ${text.substring(0, 30)}${text.length > 30 ? '...' : ''}`);
+        return this.backend.type(text);
+    }
+
+    pressKey(key, modifier = null) {
+        console.log(`⌨️  Pressing key: ${modifier ? modifier + '+' : ''}${key}`);
+        try {
+            return this.backend.key(normalizeKey(key), normalizeModifiers(modifier));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    // Presentation shortcuts
+    nextSlide() { return this.pressKey('right'); }
+    previousSlide() { return this.pressKey('left'); }
+    playPause() { return this.pressKey('space'); }
+    
+    volumeUp() {
+        console.log('🔊 Volume up');
+        return this.backend.volume('up', this.volumeStep).then(() => this.refreshVolume());
+    }
+    
+    volumeDown() {
+        console.log('🔉 Volume down');
+        return this.backend.volume('down', this.volumeStep).then(() => this.refreshVolume());
+    }
+
+    toggleMute() {
+        console.log('🔇 Toggle mute');
+        return this.backend.mute().then(() => this.refreshVolume());
+    }
+
+    // Re-read the output level so phones can show it; emits 'volume' when it changed.
+    // Never fails - a backend that can't read the level just leaves it unknown.
+    refreshVolume() {
+        return this.backend.volumeState().then(state => {
+            const volume = { level: clamp(Math.round(state.level), 0, 100), muted: Boolean(state.muted) };
+            if (this.volume && this.volume.level === volume.level && this.volume.muted === volume.muted) return volume;
+            this.volume = volume;
+            this.emit('volume', volume);
+            return volume;
+        }).catch(() => this.volume);
+    }
+
+    nextTrack() {
+        console.log('⏭️  Next track');
+        return this.backend.media('next');
+    }
+
+    previousTrack() {
+        console.log('⏮️  Previous track');
+        return this.backend.media('previous');
+    }
+
+    brightnessUp() {
+        console.log('🔆 Brightness up');
+        return this.backend.brightness('up', this.brightnessStep);
+    }
+
+    brightnessDown() {
+        console.log('🔅 Brightness down');
+        return this.backend.brightness('down', this.brightnessStep);
+    }
+
+    displaySleep() {
+        console.log('💤 Display sleep');
+        return this.backend.displaySleep();
+    }
+
+    // Blank the projector output. Open overlay pages cover the screen in black; without one
+    // we fall back to the presenter 'B' key, which slideshows treat as a black-screen toggle.
+    setBlank(on) {
+        on = on === undefined ? !this.blanked : Boolean(on);
+        if (on === this.blanked) return Promise.resolve({ on });
+
+        console.log(on ? '⬛ Blank screen' : '🖥️  Unblank screen');
+        const wasKey = this.blankedBy === 'key';
+        const handled = { screens: 0 };
+        this.blanked = on;
+        this.emit('blank', on, handled);
+        this.blankedBy = on ? (handled.screens ? 'overlay' : 'key') : null;
+
+        if (on ? handled.screens > 0 : !wasKey) return Promise.resolve({ on });
+        return this.pressKey('b').then(() => ({ on }), err => {
+            // The key never reached the slideshow, so nothing changed
+            this.blanked = !on;
+            this.blankedBy = on ? null : 'key';
+            this.emit('blank', !on, { screens: 0 });
+            throw err;
+        });
+    }
+
+    toggleFullscreen() {
+        console.log('⛶ Toggle fullscreen');
+        if (this.platform === 'darwin') {
+            return this.pressKey('f', ['control', 'command']);
+        } else {
+            return this.pressKey('f11');
+        }
+    }
+
+    // Text goes straight onto the clipboard - faster than typing and safe for any character.
+    // With paste, the usual paste shortcut follows so it lands where the cursor is.
+    setClipboard(text, paste = false) {
+        console.log(`📋 Clipboard set: ${text.length} characters${paste ? ', pasting' : ''}`);
+        const copied = this.backend.setClipboard(text);
+        if (!paste) return copied;
+        return copied.then(() => this.pressKey('v', this.platform === 'darwin' ? 'command' : 'control'));
+    }
+
+    getClipboard() {
+        console.log('📋 Clipboard read');
+        return this.backend.getClipboard();
+    }
+
+    listWindows() {
+        return this.backend.listWindows();
+    }
+
+    focusWindow(id) {
+        console.log(`🪟 Switching to window ${id}`);
+        return this.backend.focusWindow(id);
+    }
+
+    closeWindow(id) {
+        console.log(`🪟 Closing window ${id}`);
+        return this.backend.closeWindow(id);
+    }
+
+    // Lesson files are checked first so a moved file gets a clear message, not an opener error
+    async launch(item) {
+        console.log(`🚀 Launching ${item.label}`);
+        if (item.kind === 'file') {
+            try {
+                await fs.promises.access(item.target);
+            } catch (err) {
+                throw new CommandError('command_failed', `${item.label}: ${item.target} not found`);
+            }
+        }
+        return this.backend.launch(item);
+    }
+
+    // JPEG of one display (or the whole desktop), downscaled to the given width
+    captureScreen(width, quality, displayId = null) {
+        const display = displayId ? this.getDisplay(displayId) : null;
+        const region = display && { x: display.x, y: display.y, width: display.width, height: display.height };
+        return this.backend.captureScreen(width, quality, region);
+    }
+}
+
+// Live screen preview: one capture per tick is shared by every viewer, and each viewer
+// only gets a new frame after acknowledging the previous one, so slow phones never queue up.
+class ScreenPreview {
+    constructor(controller, send, options = {}) {
+        this.controller = controller;
+        this.send = send;
+        this.maxFps = options.maxFps || 4;
+        this.maxWidth = options.maxWidth || 960;
+        this.minQuality = 30;
+        this.maxQuality = options.maxQuality || 70;
+        this.maxBuffered = 512 * 1024;
+        this.viewers = new Map();
+        this.timer = null;
+        this.capturing = false;
+    }
+
+    start(client, settings = {}) {
+        const viewer = {
+            width: clamp(Math.round(Number(settings.width) || 640), 160, this.maxWidth),
+            fps: clamp(Number(settings.fps) || this.maxFps, 0.5, this.maxFps),
+            display: typeof settings.display === 'string' ? settings.display : null,
+            quality: this.maxQuality,
+            sentAt: 0,
+            lastFrame: 0
+        };
+        this.viewers.set(client, viewer);
+        console.log(`📷 Preview started for ${client.id} (${viewer.width}px @ ${viewer.fps} fps)`);
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), 1000 / this.maxFps);
+        }
+    }
+
+    stop(client) {
+        if (!this.viewers.delete(client)) return;
+        console.log(`📷 Preview stopped for ${client.id}`);
+
+        if (this.viewers.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // The phone has shown the last frame: adapt quality to how long the round trip took
+    ack(client) {
+        const viewer = this.viewers.get(client);
+        if (!viewer || !viewer.sentAt) return;
+
+        const roundTrip = Date.now() - viewer.sentAt;
+        const budget = 1000 / viewer.fps;
+        if (roundTrip > budget) {
+            viewer.quality = Math.max(this.minQuality, viewer.quality - 10);
+        } else if (roundTrip < budget / 2) {
+            viewer.quality = Math.min(this.maxQuality, viewer.quality + 5);
+        }
+        viewer.sentAt = 0;
+    }
+
+    async tick() {
+        if (this.capturing) return;
+
+        const now = Date.now();
+        const ready = [];
+        this.viewers.forEach((viewer, client) => {
+            // A frame that was never acknowledged is assumed lost on a bad link
+            if (viewer.sentAt && now - viewer.sentAt > 5000) {
+                viewer.sentAt = 0;
+                viewer.quality = this.minQuality;
+            }
+            if (!viewer.sentAt && now - viewer.lastFrame >= 1000 / viewer.fps &&
+                client.socket.writableLength < this.maxBuffered) {
+                ready.push([client, viewer]);
+            }
+        });
+        if (ready.length === 0) return;
+
+        // One capture per display that somebody is watching
+        const groups = new Map();
+        ready.forEach(entry => {
+            const display = entry[1].display;
+            if (!groups.has(display)) groups.set(display, []);
+            groups.get(display).push(entry);
+        });
+
+        this.capturing = true;
+        try {
+            for (const [display, group] of groups) {
+                await this.captureFor(display, group);
+            }
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    async captureFor(display, group) {
+        const width = Math.max(...group.map(([, viewer]) => viewer.width));
+        const quality = Math.min(...group.map(([, viewer]) => viewer.quality));
+
+        try {
+            const frame = await this.controller.captureScreen(width, quality, display);
+            group.forEach(([client, viewer]) => {
+                if (this.viewers.get(client) !== viewer) return;
+                viewer.sentAt = viewer.lastFrame = Date.now();
+                this.send(client, frame);
+            });
+        } catch (err) {
+            console.error('Screen capture failed:', err.message);
+            group.forEach(([client]) => {
+                this.send(client, { type: 'preview_error', message: err.message });
+                this.stop(client);
+            });
+        }
+    }
+}
+
+// A hand-edited JSON settings file, re-read whenever it changes on disk. Subclasses set their empty
+// state in clear() and turn the parsed file into their state in apply(); 'change' fires after a reload.
+class WatchedJSONFile extends EventEmitter {
+    constructor(file, platform, description) {
+        super();
+        this.file = file;
+        this.platform = platform;
+        this.description = description;
+        this.reloadTimer = null;
+        this.clear();
+
+        try {
+            this.load();
+        } catch (err) {
+            console.error(`⚠️  ${err.message}`);
+        }
+        this.watch();
+    }
+
+    load() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                this.clear();
+                return;
+            }
+            throw err;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(raw);
+        } catch (err) {
+            throw new Error(`${path.basename(this.file)}: invalid JSON - ${err.message}`);
+        }
+        this.apply(config);
+    }
+
+    fail(where, message) {
+        throw new Error(`${path.basename(this.file)}: ${where}: ${message}`);
+    }
+
+    // Platform-specific settings replace the default ones on that OS
+    forPlatform(byPlatform) {
+        return (byPlatform && byPlatform[this.platform]) || null;
+    }
+
+    // Editors often replace the file instead of writing it, so watch the directory
+    watch() {
+        try {
+            this.watcher = fs.watch(path.dirname(this.file), (event, filename) => {
+                if (filename && filename !== path.basename(this.file)) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), 200);
+            });
+            this.watcher.unref();
+        } catch (err) {
+            console.error(`Cannot watch ${this.description} for changes:`, err.message);
+        }
+    }
+
+    reload() {
+        try {
+            this.load();
+            this.emit('change');
+        } catch (err) {
+            // A half-saved file shouldn't wipe the buttons off every phone
+            console.error(`⚠️  Keeping previous ${this.description} - ${err.message}`);
+        }
+    }
+}
+
+// Macro profiles: named key/text/click sequences grouped per application, loaded from a
+// JSON file that is re-read whenever it changes on disk
+const MACRO_ACTIONS = ['key', 'type', 'click', 'scroll', 'delay'];
+
+class ProfileManager extends WatchedJSONFile {
+    constructor(file, platform) {
+        super(file, platform, 'macro profiles');
+        this.queue = Promise.resolve();
+    }
+
+    clear() {
+        this.profiles = Object.create(null);
+        this.activeProfile = null;
+    }
+
+    apply(config) {
+        const profiles = this.validate(config);
+        this.profiles = profiles;
+
+        // Keep the teacher's choice across reloads if that profile still exists
+        if (!profiles[this.activeProfile]) {
+            this.activeProfile = profiles[config.activeProfile] ? config.activeProfile : Object.keys(profiles)[0];
+        }
+        console.log(`🎛️  Loaded ${Object.keys(profiles).length} macro profiles (active: ${this.activeProfile})`);
+    }
+
+    validate(config) {
+        const fail = (where, message) => this.fail(where, message);
+
+        if (!config || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+            fail('profiles', 'must be an object of profiles');
+        }
+        if (Object.keys(config.profiles).length === 0) fail('profiles', 'must define at least one profile');
+
+        // Ids come from phones, so lookups must not find "constructor" and friends on Object.prototype
+        const profiles = Object.create(null);
+        Object.entries(config.profiles).forEach(([profileId, profile]) => {
+            const where = `profiles.${profileId}`;
+            if (!profile || typeof profile.name !== 'string') fail(where, 'needs a "name" string');
+            if (!profile.macros || typeof profile.macros !== 'object') fail(where, 'needs a "macros" object');
+
+            const macros = Object.create(null);
+            Object.entries(profile.macros).forEach(([macroId, macro]) => {
+                const macroWhere = `${where}.macros.${macroId}`;
+                if (!macro || typeof macro.label !== 'string') fail(macroWhere, 'needs a "label" string');
+
+                const platformSteps = this.forPlatform(macro.stepsByPlatform);
+                const steps = platformSteps || macro.steps;
+                const stepsWhere = platformSteps ? `${macroWhere}.stepsByPlatform.${this.platform}` : `${macroWhere}.steps`;
+                if (!Array.isArray(steps) || steps.length === 0) fail(stepsWhere, 'must be a non-empty array');
+                if (steps.length > 50) fail(stepsWhere, 'has more than 50 steps');
+
+                macros[macroId] = {
+                    label: macro.label,
+                    icon: typeof macro.icon === 'string' ? macro.icon : '',
+                    steps: steps.map((step, index) => this.validateStep(step, `${stepsWhere}[${index}]`, fail))
+                };
+            });
+
+            profiles[profileId] = { name: profile.name, macros };
+        });
+
+        return profiles;
+    }
+
+    validateStep(step, where, fail) {
+        if (!step || !MACRO_ACTIONS.includes(step.action)) {
+            fail(where, `"action" must be one of: ${MACRO_ACTIONS.join(', ')}`);
+        }
+
+        try {
+            switch (step.action) {
+                case 'key':
+                    return { action: 'key', key: normalizeKey(step.key), modifiers: normalizeModifiers(step.modifiers) };
+                case 'type':
+                    if (typeof step.text !== 'string' || step.text.length === 0 || step.text.length > 1000) {
+                        throw new Error('"text" must be a string of 1-1000 characters');
+                    }
+                    return { action: 'type', text: step.text };
+                case 'click':
+                    if (!['left', 'middle', 'right'].includes(step.button || 'left')) {
+                        throw new Error('"button" must be left, middle or right');
+                    }
+                    return { action: 'click', button: step.button || 'left', double: Boolean(step.double) };
+                case 'scroll':
+                    if (step.direction !== 'up' && step.direction !== 'down') {
+                        throw new Error('"direction" must be up or down');
+                    }
+                    return { action: 'scroll', direction: step.direction, amount: clamp(Number(step.amount) || 3, 1, 50) };
+                case 'delay':
+                    if (!Number.isFinite(step.ms) || step.ms < 0 || step.ms > 10000) {
+                        throw new Error('"ms" must be a number between 0 and 10000');
+                    }
+                    return { action: 'delay', ms: step.ms };
+            }
+        } catch (err) {
+            fail(where, err.message);
+        }
+    }
+
+    setActive(profileId) {
+        if (!this.profiles[profileId]) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+        this.activeProfile = profileId;
+        console.log(`🎛️  Active macro profile: ${this.profiles[profileId].name}`);
+        this.emit('change');
+    }
+
+    // What the controller needs to draw the profile picker and macro buttons
+    getState() {
+        const active = this.profiles[this.activeProfile];
+        return {
+            active: this.activeProfile,
+            list: Object.entries(this.profiles).map(([id, profile]) => ({ id, name: profile.name })),
+            macros: active
+                ? Object.entries(active.macros).map(([id, macro]) => ({ id, label: macro.label, icon: macro.icon }))
+                : []
+        };
+    }
+
+    // Macros run one after another so two quick taps can't interleave their keystrokes
+    run(macroId, controller) {
+        const profile = this.profiles[this.activeProfile];
+        const macro = profile && profile.macros[macroId];
+        if (!macro) {
+            return Promise.reject(new CommandError('unknown_macro', `Unknown macro: ${macroId}`));
+        }
+
+        const result = this.queue.then(() => this.execute(macro, controller));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async execute(macro, controller) {
+        console.log(`🎬 Running macro: ${macro.label}`);
+        for (const step of macro.steps) {
+            switch (step.action) {
+                case 'key':
+                    await controller.pressKey(step.key, step.modifiers);
+                    break;
+                case 'type':
+                    await controller.typeText(step.text);
+                    break;
+                case 'click':
+                    await (step.double ? controller.doubleClick(step.button) : controller.click(step.button));
+                    break;
+                case 'scroll':
+                    await controller.scroll(step.direction, step.amount);
+                    break;
+                case 'delay':
+                    await new Promise(resolve => setTimeout(resolve, step.ms));
+                    break;
+            }
+        }
+    }
+}
+
+// Launch list: the apps, web pages and lesson files the teacher allows phones to open, from a
+// JSON file re-read on change. Phones only ever send an entry's id, so nothing else can be started.
+const LAUNCH_KINDS = ['app', 'url', 'file'];
+
+class LaunchList extends WatchedJSONFile {
+    constructor(file, platform) {
+        super(file, platform, 'launchers');
+    }
+
+    clear() {
+        this.items = {};
+    }
+
+    apply(config) {
+        this.items = this.validate(config);
+        console.log(`🚀 Loaded ${Object.keys(this.items).length} launchers`);
+    }
+
+    validate(config) {
+        const fail = (where, message) => this.fail(where, message);
+
+        if (!config || typeof config.launchers !== 'object' || Array.isArray(config.launchers)) {
+            fail('launchers', 'must be an object of launchers');
+        }
+
+        const items = {};
+        Object.entries(config.launchers).forEach(([id, launcher]) => {
+            const where = `launchers.${id}`;
+            if (!launcher || typeof launcher.label !== 'string') fail(where, 'needs a "label" string');
+
+            const entry = { ...launcher, ...this.forPlatform(launcher.byPlatform) };
+            const kinds = LAUNCH_KINDS.filter(kind => entry[kind] !== undefined);
+            if (kinds.length !== 1) fail(where, `needs exactly one of: ${LAUNCH_KINDS.join(', ')}`);
+            const kind = kinds[0];
+
+            if (typeof entry[kind] !== 'string' || entry[kind].length === 0) fail(`${where}.${kind}`, 'must be a non-empty string');
+            let target = entry[kind];
+            let args = [];
+
+            if (kind === 'app') {
+                args = entry.args === undefined ? [] : entry.args;
+                if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+                    fail(`${where}.args`, 'must be an array of strings');
+                }
+            } else if (kind === 'url') {
+                let url;
+                try {
+                    url = new URL(target);
+                } catch (err) {
+                    fail(`${where}.url`, 'is not a valid URL');
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') fail(`${where}.url`, 'must be http or https');
+            } else {
+                // "~/..." is the home directory; relative paths are next to the launch list
+                if (target === '~' || target.startsWith('~/')) target = path.join(os.homedir(), target.slice(1));
+                target = path.resolve(path.dirname(this.file), target);
+            }
+
+            items[id] = {
+                label: launcher.label,
+                icon: typeof launcher.icon === 'string' ? launcher.icon : '',
+                kind: kind,
+                target: target,
+                args: args
+            };
+        });
+
+        return items;
+    }
+
+    // Anything not in the file is refused, whatever the phone asks for
+    get(id) {
+        const item = Object.prototype.hasOwnProperty.call(this.items, id) ? this.items[id] : null;
+        if (!item) throw new CommandError('not_whitelisted', `${id} is not on this computer's launch list`);
+        return item;
+    }
+
+    // Phones see labels and kinds, not the commands or paths behind them
+    getState() {
+        return Object.entries(this.items).map(([id, item]) => ({ id, label: item.label, icon: item.icon, kind: item.kind }));
+    }
+}
+
+// Lesson files uploaded from phones. Uploads stream straight to disk from multipart/form-data,
+// land in one folder under a cleaned-up name and are limited to document, image and media types
+// so an upload can never be a program that opening it would run.
+const UPLOAD_TYPES = [
+    'pdf', 'ppt', 'pptx', 'pps', 'ppsx', 'key', 'odp', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md',
+    'xls', 'xlsx', 'ods', 'csv', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'heic', 'svg',
+    'mp4', 'mov', 'm4v', 'webm', 'mp3', 'm4a', 'wav', 'ogg'
+];
+
+class UploadStore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || path.join(os.homedir(), 'Documents', 'Classroom Uploads');
+        this.maxSize = options.maxSize || 100 * 1024 * 1024;
+        this.types = new Set((options.types || UPLOAD_TYPES).map(type => type.toLowerCase().replace(/^\./, '')));
+    }
+
+    // Any client-supplied name becomes a plain file name: no folders, control or reserved
+    // characters, or leading dots (hidden files and our own .part files)
+    sanitize(name) {
+        const base = String(name).split(/[\\/]/).pop()
+            .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.]+|[\s.]+$/g, '');
+        const extension = path.extname(base);
+        const stem = base.slice(0, base.length - extension.length).slice(0, 120);
+        return (stem || 'upload') + extension.slice(0, 10);
+    }
+
+    checkType(name) {
+        const extension = path.extname(name).slice(1).toLowerCase();
+        if (!this.types.has(extension)) {
+            throw new CommandError('unsupported_type', `${extension ? `.${extension}` : 'Files without an extension'} can't be uploaded here`);
+        }
+    }
+
+    // Full path of an uploaded file, refusing anything that isn't a plain name in the folder
+    resolve(name) {
+        if (typeof name !== 'string' || name !== this.sanitize(name)) {
+            throw new CommandError('unknown_file', `No uploaded file called ${name}`);
+        }
+        return path.join(this.directory, name);
+    }
+
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const files = [];
+        for (const name of names) {
+            if (name.startsWith('.')) continue;
+            try {
+                const stat = await fs.promises.stat(path.join(this.directory, name));
+                if (stat.isFile()) files.push({ name, size: stat.size, modified: stat.mtime.toISOString() });
+            } catch (err) {
+                // Deleted while we were looking
+            }
+        }
+        return files.sort((a, b) => b.modified.localeCompare(a.modified)).slice(0, 100);
+    }
+
+    async remove(name) {
+        const file = this.resolve(name);
+        try {
+            await fs.promises.unlink(file);
+        } catch (err) {
+            if (err.code === 'ENOENT') throw new CommandError('unknown_file', `No uploaded file called ${name}`);
+            throw err;
+        }
+        console.log(`🗑️  Deleted upload ${name}`);
+        this.emit('change');
+    }
+
+    // Stream a multipart/form-data request to disk. The single file part is written to a hidden
+    // .part file and renamed once complete; other parts are short text fields.
+    // Resolves with { file: { name, size }, fields }.
+    async receive(req) {
+        const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(req.headers['content-type'] || '');
+        if (!match) throw new CommandError('invalid_request', 'Send the file as multipart/form-data');
+        if (parseInt(req.headers['content-length']) > this.maxSize + 64 * 1024) throw this.tooLarge();
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const delimiter = Buffer.from(`\r\n--${match[1] || match[2]}`);
+        // The first boundary has no line break before it; pretend it does so one search finds all
+        let buffer = Buffer.from('\r\n');
+        let state = 'preamble';
+        let part = null;
+        let file = null;
+        const fields = {};
+
+        const write = async (data) => {
+            if (data.length === 0) return;
+            if (!part.out) {
+                part.value += data.toString('utf8');
+                if (part.value.length > 1024) throw new CommandError('invalid_request', `Field ${part.name} is too long`);
+                return;
+            }
+            file.size += data.length;
+            if (file.size > this.maxSize) throw this.tooLarge();
+            // once() rejects if the write fails instead, e.g. on a full disk
+            if (!part.out.write(data)) await EventEmitter.once(part.out, 'drain');
+        };
+
+        const startPart = (headers) => {
+            const disposition = /content-disposition:\s*form-data(.*)/i.exec(headers);
+            const param = (key) => {
+                const found = disposition && new RegExp(`;\\s*${key}="([^"]*)"`, 'i').exec(disposition[1]);
+                return found ? found[1] : null;
+            };
+            const filename = param('filename');
+            if (filename === null) {
+                part = { name: param('name') || '', value: '' };
+                return;
+            }
+            if (file) throw new CommandError('invalid_request', 'Upload one file at a time');
+
+            const name = this.sanitize(filename);
+            this.checkType(name);
+            const temp = path.join(this.directory, `.upload-${crypto.randomBytes(6).toString('hex')}.part`);
+            file = { name, size: 0, temp, out: fs.createWriteStream(temp, { flags: 'wx' }) };
+            file.out.on('error', err => { file.error = err; });
+            part = { out: file.out };
+        };
+
+        const endPart = async () => {
+            if (part.out) {
+                await new Promise((resolve, reject) => part.out.end(err => (err || file.error ? reject(err || file.error) : resolve())));
+            } else {
+                fields[part.name] = part.value;
+            }
+            part = null;
+        };
+
+        try {
+            for await (const chunk of req) {
+                if (file && file.error) throw file.error;
+                buffer = Buffer.concat([buffer, chunk]);
+
+                while (state !== 'done') {
+                    if (state === 'preamble' || state === 'body') {
+                        const index = buffer.indexOf(delimiter);
+                        if (index === -1) {
+                            // Keep enough of the tail to catch a boundary split across chunks
+                            const keep = Math.max(0, buffer.length - delimiter.length);
+                            if (state === 'body') await write(buffer.subarray(0, keep));
+                            buffer = buffer.subarray(keep);
+                            break;
+                        }
+                        if (state === 'body') {
+                            await write(buffer.subarray(0, index));
+                            await endPart();
+                        }
+                        buffer = buffer.subarray(index + delimiter.length);
+                        state = 'boundary';
+                    } else if (state === 'boundary') {
+                        if (buffer.length < 2) break;
+                        const next = buffer.subarray(0, 2).toString();
+                        if (next === '--') {
+                            state = 'done';
+                        } else if (next === '\r\n') {
+                            buffer = buffer.subarray(2);
+                            state = 'headers';
+                        } else {
+                            throw new CommandError('invalid_request', 'Malformed multipart body');
+                        }
+                    } else if (state === 'headers') {
+                        const end = buffer.indexOf('\r\n\r\n');
+                        if (end === -1) {
+                            if (buffer.length > 16 * 1024) throw new CommandError('invalid_request', 'Multipart headers too large');
+                            break;
+                        }
+                        startPart(buffer.subarray(0, end).toString('utf8'));
+                        buffer = buffer.subarray(end + 4);
+                        state = 'body';
+                    }
+                }
+            }
+
+            if (state !== 'done') throw new CommandError('invalid_request', 'The upload was cut off');
+            if (!file) throw new CommandError('invalid_request', 'No file in the upload');
+
+            // Never overwrite: "notes.pdf" becomes "notes (2).pdf" and so on. The name is claimed
+            // with an exclusive create first, then the finished upload replaces that placeholder.
+            const extension = path.extname(file.name);
+            const stem = file.name.slice(0, file.name.length - extension.length);
+            for (let copy = 1; ; copy++) {
+                const name = copy === 1 ? file.name : `${stem} (${copy})${extension}`;
+                try {
+                    await (await fs.promises.open(path.join(this.directory, name), 'wx')).close();
+                    file.name = name;
+                    break;
+                } catch (err) {
+                    if (err.code !== 'EEXIST' || copy >= 1000) throw err;
+                }
+            }
+            await fs.promises.rename(file.temp, path.join(this.directory, file.name)).catch(err => {
+                fs.promises.unlink(path.join(this.directory, file.name)).catch(() => {});
+                throw err;
+            });
+        } finally {
+            if (file) {
+                file.out.destroy();
+                fs.promises.unlink(file.temp).catch(() => {});
+            }
+        }
+
+        console.log(`📥 Uploaded ${file.name} (${Math.round(file.size / 1024)} KB)`);
+        this.emit('change');
+        return { file: { name: file.name, size: file.size }, fields };
+    }
+
+    tooLarge() {
+        return new CommandError('too_large', `Uploads are limited to ${Math.round(this.maxSize / (1024 * 1024))} MB`);
+    }
+}
+
+// Presentation session: a lecture timer plus a slide counter fed by next/prev slide commands.
+// Checkpoints ("slide 10 by minute 20") and a target length turn into warnings for every screen.
+class PresentationSession extends EventEmitter {
+    constructor() {
+        super();
+        this.running = false;
+        this.elapsedBefore = 0;
+        this.resumedAt = null;
+        this.slide = 1;
+        this.durationMs = 0;
+        this.warnBeforeMs = 5 * 60 * 1000;
+        this.checkpoints = [];
+        this.warnings = [];
+        this.tickTimer = null;
+    }
+
+    elapsed() {
+        return this.elapsedBefore + (this.running ? Date.now() - this.resumedAt : 0);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.resumedAt = Date.now();
+        // Warnings only change with time while the clock runs
+        this.tickTimer = setInterval(() => this.checkWarnings(), 1000);
+        console.log('⏱️  Presentation timer started');
+        this.emit('change');
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.elapsedBefore = this.elapsed();
+        this.running = false;
+        this.resumedAt = null;
+        clearInterval(this.tickTimer);
+        console.log(`⏱️  Presentation timer paused at ${formatDuration(this.elapsedBefore)}`);
+        this.emit('change');
+    }
+
+    reset() {
+        clearInterval(this.tickTimer);
+        this.running = false;
+        this.elapsedBefore = 0;
+        this.resumedAt = null;
+        this.slide = 1;
+        console.log('⏱️  Presentation timer reset');
+        this.checkWarnings(true);
+    }
+
+    // durationMinutes of 0 means no target length; checkpoints are [{ slide, minute }]
+    configure({ durationMinutes = 0, warnMinutes = 5, checkpoints = [] } = {}) {
+        const duration = Number(durationMinutes);
+        const warn = Number(warnMinutes);
+        if (!Number.isFinite(duration) || duration < 0 || duration > 600) {
+            throw new Error('Duration must be between 0 and 600 minutes');
+        }
+        if (!Number.isFinite(warn) || warn < 0 || warn > 60) {
+            throw new Error('Warning time must be between 0 and 60 minutes');
+        }
+        if (!Array.isArray(checkpoints) || checkpoints.length > 50) {
+            throw new Error('Checkpoints must be a list of at most 50 entries');
+        }
+
+        this.checkpoints = checkpoints.map(checkpoint => {
+            const slide = Number(checkpoint && checkpoint.slide);
+            const minute = Number(checkpoint && checkpoint.minute);
+            if (!Number.isInteger(slide) || slide < 1 || !Number.isFinite(minute) || minute < 0) {
+                throw new Error('Each checkpoint needs a slide number and a minute');
+            }
+            return { slide, minute };
+        }).sort((a, b) => a.minute - b.minute);
+
+        this.durationMs = duration * 60 * 1000;
+        this.warnBeforeMs = warn * 60 * 1000;
+        this.checkWarnings(true);
+    }
+
+    setSlide(slide) {
+        const value = Number(slide);
+        if (!Number.isInteger(value) || value < 1 || value > 9999) {
+            throw new Error('Slide must be a positive whole number');
+        }
+        this.slide = value;
+        this.checkWarnings(true);
+    }
+
+    // Only commands that actually reached the computer move the counter
+    track(command) {
+        if (command === 'next_slide') {
+            this.setSlide(this.slide + 1);
+        } else if (command === 'prev_slide' && this.slide > 1) {
+            this.setSlide(this.slide - 1);
+        }
+    }
+
+    computeWarnings() {
+        const elapsed = this.elapsed();
+        const warnings = [];
+
+        if (this.durationMs > 0) {
+            const remaining = this.durationMs - elapsed;
+            if (remaining <= 0) {
+                warnings.push({ code: 'overtime', message: 'Time is up' });
+            } else if (this.warnBeforeMs > 0 && remaining <= this.warnBeforeMs) {
+                warnings.push({ code: 'time_low', message: `Less than ${formatDuration(this.warnBeforeMs)} left` });
+            }
+        }
+
+        // The latest checkpoint that is already due decides whether we're behind
+        const due = this.checkpoints.filter(checkpoint => checkpoint.minute * 60 * 1000 <= elapsed).pop();
+        if (due && this.slide < due.slide) {
+            warnings.push({ code: 'behind', message: `Behind schedule - slide ${due.slide} was due by minute ${due.minute}` });
+        }
+
+        return warnings;
+    }
+
+    // Broadcast only when the set of warnings changes, not on every tick
+    checkWarnings(force = false) {
+        const previous = this.warnings.map(warning => warning.code);
+        this.warnings = this.computeWarnings();
+        const current = this.warnings.map(warning => warning.code);
+
+        const raised = current.filter(code => !previous.includes(code));
+        raised.forEach(code => console.log(`⚠️  Presentation warning: ${code}`));
+
+        if (force || raised.length > 0 || current.length !== previous.length) {
+            this.emit('change');
+        }
+    }
+
+    getState() {
+        const next = this.checkpoints.find(checkpoint => checkpoint.minute * 60 * 1000 > this.elapsed());
+        return {
+            running: this.running,
+            elapsedMs: this.elapsed(),
+            slide: this.slide,
+            durationMs: this.durationMs,
+            warnBeforeMs: this.warnBeforeMs,
+            checkpoints: this.checkpoints,
+            nextCheckpoint: next || null,
+            warnings: this.warnings
+        };
+    }
+
+    stop() {
+        clearInterval(this.tickTimer);
+    }
+}
+
+// Classroom polls: the teacher asks a multiple-choice or free-text question, students answer from
+// the /join page. Voters are throwaway devices that only exist for polls - their tokens are kept in
+// memory and their connections may send nothing but votes. One vote per voter per poll; voting
+// again replaces the earlier answer until the poll is locked. A fresh token is easy to get, so
+// each poll also takes only one voter per address, and joins are rate-limited per address.
+const POLL_KINDS = ['choice', 'text'];
+
+class PollBoard extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxVoters = options.maxVoters || 500;
+        this.maxHistory = options.maxHistory || 20;
+        // Voters not seen for a lesson's length are dropped so they stop counting against the limit
+        this.voterLifetime = options.voterLifetime || 2 * 60 * 60 * 1000;
+        this.voters = new Map();
+        this.joinBuckets = new Map();
+        this.polls = [];
+        this.nextPollId = 1;
+    }
+
+    // The current poll, or the last one until a new one starts
+    get current() {
+        return this.polls[this.polls.length - 1] || null;
+    }
+
+    join(name, ip) {
+        const cleanName = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, 40) : '';
+        if (!cleanName) throw new CommandError('invalid_request', 'Enter your name to join');
+
+        this.expireVoters();
+        // A few joins per address cover a reload or a typo; a script looping on join gets nowhere
+        let bucket = this.joinBuckets.get(ip);
+        if (!bucket) {
+            bucket = new TokenBucket(1 / 60, 5);
+            this.joinBuckets.set(ip, bucket);
+        }
+        if (!bucket.take()) throw new CommandError('rate_limited', 'Too many joins from this device - wait a minute');
+        if (this.voters.size >= this.maxVoters) throw new CommandError('forbidden', 'This class is full');
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const device = {
+            id: `voter-${crypto.randomBytes(4).toString('hex')}`,
+            name: cleanName,
+            role: 'voter',
+            lastSeen: Date.now()
+        };
+        this.voters.set(token, device);
+        console.log(`🙋 ${cleanName} joined the class polls`);
+        return { token, device };
+    }
+
+    verify(token) {
+        const device = (typeof token === 'string' && this.voters.get(token)) || null;
+        if (device) device.lastSeen = Date.now();
+        return device;
+    }
+
+    expireVoters() {
+        const now = Date.now();
+        this.voters.forEach((device, token) => {
+            if (now - device.lastSeen > this.voterLifetime) this.voters.delete(token);
+        });
+        // Full buckets (five minutes untouched) hold nothing worth keeping
+        this.joinBuckets.forEach((bucket, ip) => {
+            if (now - bucket.refilledAt > 5 * 60 * 1000) this.joinBuckets.delete(ip);
+        });
+    }
+
+    create({ question, kind, options = [], anonymous = true, correct }) {
+        const text = question.trim();
+        if (!text) throw new CommandError('invalid_message', 'poll_create: question must not be empty');
+
+        let choices = [];
+        if (kind === 'choice') {
+            choices = options.map(option => (typeof option === 'string' ? option.trim().slice(0, 120) : '')).filter(Boolean);
+            if (choices.length < 2 || choices.length > 8) {
+                throw new CommandError('invalid_message', 'poll_create: choice polls need 2 to 8 options');
+            }
+        }
+        if (correct !== undefined && (kind !== 'choice' || !Number.isInteger(correct) || correct < 0 || correct >= choices.length)) {
+            throw new CommandError('invalid_message', 'poll_create: correct must be the index of one of the options');
+        }
+
+        // Starting a poll ends the previous one
+        if (this.current && !this.current.closedAt) this.current.closedAt = Date.now();
+
+        this.polls.push({
+            id: this.nextPollId++,
+            question: text,
+            kind: kind,
+            options: choices,
+            anonymous: anonymous,
+            correct: correct === undefined ? null : correct,
+            locked: false,
+            revealed: false,
+            createdAt: Date.now(),
+            closedAt: null,
+            votes: new Map(),
+            addresses: new Map()
+        });
+        if (this.polls.length > this.maxHistory) this.polls.shift();
+
+        console.log(`📊 Poll started: ${text}`);
+        this.emit('change');
+        return { poll: this.current.id };
+    }
+
+    openPoll() {
+        const poll = this.current;
+        if (!poll || poll.closedAt) throw new CommandError('no_poll', 'There is no poll running');
+        return poll;
+    }
+
+    vote(device, { choice, text }, ip) {
+        const poll = this.openPoll();
+        if (poll.locked) throw new CommandError('poll_locked', 'Voting is closed for this question');
+
+        const owner = poll.addresses.get(ip);
+        if (owner && owner !== device.id) {
+            throw new CommandError('already_voted', 'Someone already answered from this device');
+        }
+        device.lastSeen = Date.now();
+
+        const vote = { name: device.name, at: Date.now() };
+        if (poll.kind === 'choice') {
+            if (!Number.isInteger(choice) || choice < 0 || choice >= poll.options.length) {
+                throw new CommandError('invalid_message', 'poll_vote: choice must be one of the options');
+            }
+            vote.choice = choice;
+        } else {
+            const answer = typeof text === 'string' ? text.trim() : '';
+            if (!answer) throw new CommandError('invalid_message', 'poll_vote: text must not be empty');
+            vote.text = answer;
+        }
+
+        poll.votes.set(device.id, vote);
+        poll.addresses.set(ip, device.id);
+        this.emit('change');
+    }
+
+    setLocked(locked) {
+        const poll = this.openPoll();
+        poll.locked = locked;
+        console.log(`📊 Poll ${locked ? 'locked' : 'unlocked'}`);
+        this.emit('change');
+    }
+
+    setRevealed(revealed) {
+        const poll = this.openPoll();
+        poll.revealed = revealed;
+        console.log(`📊 Poll answers ${revealed ? 'revealed' : 'hidden'}`);
+        this.emit('change');
+    }
+
+    close() {
+        const poll = this.openPoll();
+        poll.closedAt = Date.now();
+        poll.locked = true;
+        console.log(`📊 Poll ended with ${poll.votes.size} votes`);
+        this.emit('change');
+    }
+
+    results(poll) {
+        const votes = Array.from(poll.votes.values());
+        if (poll.kind === 'choice') {
+            const counts = poll.options.map(() => 0);
+            votes.forEach(vote => counts[vote.choice]++);
+            return { counts };
+        }
+        return {
+            answers: votes
+                .sort((a, b) => a.at - b.at)
+                .map(vote => (poll.anonymous ? { text: vote.text } : { text: vote.text, name: vote.name }))
+        };
+    }
+
+    // The teacher and the desktop see live results (names only in named polls). Voters see the
+    // question and their own answer, and the results once the teacher reveals them.
+    getState(device = null) {
+        const poll = this.current;
+        if (!poll) return { poll: null, joined: this.voters.size };
+
+        const state = {
+            id: poll.id,
+            question: poll.question,
+            kind: poll.kind,
+            options: poll.options,
+            anonymous: poll.anonymous,
+            locked: poll.locked,
+            revealed: poll.revealed,
+            open: !poll.closedAt,
+            total: poll.votes.size
+        };
+
+        if (device && device.role === 'voter') {
+            const mine = poll.votes.get(device.id);
+            state.myVote = mine ? (poll.kind === 'choice' ? { choice: mine.choice } : { text: mine.text }) : null;
+            if (!poll.revealed) return { poll: state };
+            return { poll: { ...state, ...this.results(poll), correct: poll.correct } };
+        }
+
+        if (!poll.anonymous) {
+            state.voted = Array.from(poll.votes.values(), vote => vote.name);
+        }
+        return { poll: { ...state, ...this.results(poll), correct: poll.correct }, joined: this.voters.size };
+    }
+
+    // One row per vote. Anonymous polls leave the name column empty.
+    toCSV(pollId) {
+        const poll = pollId ? this.polls.find(entry => entry.id === pollId) : this.current;
+        if (!poll) return null;
+
+        // Quote everything, and defuse cells a spreadsheet would run as a formula
+        const cell = (value) => {
+            const text = String(value === undefined || value === null ? '' : value);
+            return `"${(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+        };
+        const rows = [['poll', 'question', 'time', 'name', 'answer', 'correct']];
+        Array.from(poll.votes.values()).sort((a, b) => a.at - b.at).forEach(vote => {
+            const answer = poll.kind === 'choice' ? poll.options[vote.choice] : vote.text;
+            const correct = poll.correct === null ? '' : (vote.choice === poll.correct ? 'yes' : 'no');
+            rows.push([poll.id, poll.question, new Date(vote.at).toISOString(), poll.anonymous ? '' : vote.name, answer, correct]);
+        });
+        return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+// Annotations drawn from the phones onto the overlay page: a laser dot per device plus ink strokes.
+// Coordinates are fractions of the overlay (0-1) so they land in the same spot on any screen size.
+const ANNOTATION_TOOLS = ['pen', 'highlighter', 'line', 'arrow', 'rect', 'ellipse'];
+
+class AnnotationBoard extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxStrokes = options.maxStrokes || 500;
+        this.maxPoints = options.maxPoints || 5000;
+        this.directory = options.directory || path.join(os.homedir(), '.classroom-control', 'annotations');
+        this.strokes = [];
+        this.drawing = new Map();
+        this.nextId = 1;
+    }
+
+    point(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error('Annotation coordinates must be numbers between 0 and 1');
+        }
+        return [clamp(x, 0, 1), clamp(y, 0, 1)];
+    }
+
+    color(value) {
+        if (value === undefined) return '#ef4444';
+        if (!/^#[0-9a-f]{6}$/i.test(value)) throw new Error(`Invalid color: ${value}`);
+        return value.toLowerCase();
+    }
+
+    laser(client, x, y, color) {
+        const [px, py] = this.point(x, y);
+        this.emit('laser', { id: client.id, x: px, y: py, color: this.color(color) });
+    }
+
+    hideLaser(client) {
+        this.emit('laser', { id: client.id, hidden: true });
+    }
+
+    startStroke(client, { tool = 'pen', color, width = 4, x, y } = {}) {
+        if (!ANNOTATION_TOOLS.includes(tool)) {
+            throw new Error(`Unknown tool: ${tool}. Use ${ANNOTATION_TOOLS.join(', ')}`);
+        }
+        // A stroke left open (e.g. a lost touchend) is finished rather than dropped
+        this.endStroke(client);
+
+        const stroke = {
+            id: this.nextId++,
+            tool,
+            color: this.color(color),
+            width: clamp(Number(width) || 4, 1, 40),
+            points: [this.point(x, y)]
+        };
+        this.drawing.set(client.id, stroke);
+        this.emit('stroke', stroke);
+    }
+
+    // Freehand tools collect every point; shapes only need where the finger is now
+    addPoint(client, x, y) {
+        const stroke = this.drawing.get(client.id);
+        if (!stroke) return;
+
+        const point = this.point(x, y);
+        if (stroke.tool === 'pen' || stroke.tool === 'highlighter') {
+            if (stroke.points.length >= this.maxPoints) return;
+            stroke.points.push(point);
+        } else {
+            stroke.points = [stroke.points[0], point];
+        }
+        this.emit('point', { id: stroke.id, x: point[0], y: point[1] });
+    }
+
+    endStroke(client) {
+        const stroke = this.drawing.get(client.id);
+        if (!stroke) return;
+
+        this.drawing.delete(client.id);
+        this.strokes.push(stroke);
+        if (this.strokes.length > this.maxStrokes) this.strokes.shift();
+        this.emit('stroke_end', { id: stroke.id });
+    }
+
+    undo() {
+        const stroke = this.strokes.pop();
+        if (stroke) this.emit('undo', { id: stroke.id });
+    }
+
+    clear() {
+        this.strokes = [];
+        this.drawing.clear();
+        console.log('🧽 Annotations cleared');
+        this.emit('clear');
+    }
+
+    // Called when a device disconnects mid-gesture
+    remove(client) {
+        this.endStroke(client);
+        this.hideLaser(client);
+    }
+
+    getState() {
+        return { strokes: [...this.strokes, ...this.drawing.values()] };
+    }
+
+    // Render the strokes as a standalone SVG (transparent background) at the given pixel size
+    toSVG(width, height) {
+        const round = value => Number(value.toFixed(1));
+        const coords = points => points.map(([x, y]) => `${round(x * width)},${round(y * height)}`);
+
+        const shapes = this.getState().strokes.map(stroke => {
+            const [start, end = start] = stroke.points;
+            const x1 = round(start[0] * width), y1 = round(start[1] * height);
+            const x2 = round(end[0] * width), y2 = round(end[1] * height);
+            const highlighter = stroke.tool === 'highlighter';
+            const paint = `fill="none" stroke="${stroke.color}" stroke-width="${highlighter ? stroke.width * 3 : stroke.width}"` +
+                ` stroke-linecap="round" stroke-linejoin="round"${highlighter ? ' stroke-opacity="0.35"' : ''}`;
+
+            switch (stroke.tool) {
+                case 'pen':
+                case 'highlighter':
+                    return `<polyline points="${coords(stroke.points).join(' ')}" ${paint}/>`;
+                case 'line':
+                    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${paint}/>`;
+                case 'arrow': {
+                    const angle = Math.atan2(y2 - y1, x2 - x1);
+                    const head = stroke.width * 4;
+                    const wing = offset => `${round(x2 - head * Math.cos(angle + offset))},${round(y2 - head * Math.sin(angle + offset))}`;
+                    return `<polyline points="${x1},${y1} ${x2},${y2}" ${paint}/>` +
+                        `<polyline points="${wing(0.5)} ${x2},${y2} ${wing(-0.5)}" ${paint}/>`;
+                }
+                case 'rect':
+                    return `<rect x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${round(Math.abs(x2 - x1))}" height="${round(Math.abs(y2 - y1))}" ${paint}/>`;
+                case 'ellipse':
+                    return `<ellipse cx="${round((x1 + x2) / 2)}" cy="${round((y1 + y2) / 2)}" rx="${round(Math.abs(x2 - x1) / 2)}" ry="${round(Math.abs(y2 - y1) / 2)}" ${paint}/>`;
+            }
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            shapes.map(shape => `  ${shape}\n`).join('') +
+            '</svg>\n';
+    }
+
+    save(width, height) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(this.directory, `annotations-${stamp}.svg`);
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(file, this.toSVG(width, height));
+        console.log(`💾 Annotations saved to ${file}`);
+        return file;
+    }
+}
+
+// Control floor: teachers drive the computer unless the floor has been handed to a student.
+// Students raise a hand with request_control and wait in a queue the teacher can act on.
+class ControlFloor extends EventEmitter {
+    constructor() {
+        super();
+        this.holder = null;
+        this.expiresAt = null;
+        this.expiryTimer = null;
+        this.queue = [];
+    }
+
+    canControl(client) {
+        if (this.holder) return client === this.holder;
+        return client.device.role === 'teacher';
+    }
+
+    request(client) {
+        if (client.device.role !== 'student') {
+            throw new Error('Only students need to request control');
+        }
+        if (client === this.holder || this.queue.some(entry => entry.client === client)) return;
+
+        this.queue.push({ client, requestedAt: Date.now() });
+        console.log(`✋ ${client.device.name} requested control`);
+        this.emit('change');
+    }
+
+    cancel(client) {
+        const length = this.queue.length;
+        this.queue = this.queue.filter(entry => entry.client !== client);
+        if (this.queue.length !== length) this.emit('change');
+    }
+
+    // durationMs of 0 or less means until the teacher takes it back
+    grant(client, durationMs = 0) {
+        clearTimeout(this.expiryTimer);
+        this.queue = this.queue.filter(entry => entry.client !== client);
+        this.holder = client;
+        this.expiresAt = durationMs > 0 ? Date.now() + durationMs : null;
+
+        if (this.expiresAt) {
+            this.expiryTimer = setTimeout(() => {
+                console.log(`⏰ Control time for ${client.device.name} is up`);
+                this.revoke();
+            }, durationMs);
+        }
+
+        console.log(`🎤 Control granted to ${client.device.name}${this.expiresAt ? ` for ${Math.round(durationMs / 1000)}s` : ''}`);
+        this.emit('change');
+    }
+
+    revoke() {
+        if (!this.holder) return;
+
+        clearTimeout(this.expiryTimer);
+        console.log(`🎤 Control returned to the teacher (was ${this.holder.device.name})`);
+        this.holder = null;
+        this.expiresAt = null;
+        this.emit('change');
+    }
+
+    // A disconnecting client leaves the queue and, if it held the floor, gives it back
+    remove(client) {
+        if (client === this.holder) {
+            this.revoke();
+        }
+        this.cancel(client);
+    }
+
+    getState() {
+        return {
+            holder: this.holder ? { id: this.holder.id, name: this.holder.device.name } : null,
+            expiresAt: this.expiresAt,
+            queue: this.queue.map(entry => ({
+                id: entry.client.id,
+                name: entry.client.device.name,
+                requestedAt: entry.requestedAt
+            }))
+        };
+    }
+}
+
+// Device pairing: a short-lived PIN is exchanged for a signed session token.
+// The teacher PIN pairs a teacher device; the class PIN pairs student devices.
+class PairingManager {
+    constructor(options = {}) {
+        this.pinLifetime = options.pinLifetime || 5 * 60 * 1000;
+        // Wrong PINs from one address are free up to maxAttempts, then each one doubles the wait
+        this.maxAttempts = options.maxAttempts || 5;
+        this.maxLockout = options.maxLockout || 15 * 60 * 1000;
+        this.failures = new Map();
+        // Without a teacher-provided secret, tokens only live as long as the process
+        this.persistent = Boolean(options.secret);
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.devicesFile = this.persistent ? options.devicesFile : null;
+        this.devices = new Map();
+        this.pin = null;
+        this.studentPin = null;
+        this.pinExpires = 0;
+        this.pinTimer = null;
+
+        this.loadDevices();
+        this.generatePin();
+    }
+
+    generatePin() {
+        this.pin = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        do {
+            this.studentPin = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        } while (this.studentPin === this.pin);
+        this.pinExpires = Date.now() + this.pinLifetime;
+
+        // Rotate the PIN when it expires so an old one on the projector can't be reused
+        clearTimeout(this.pinTimer);
+        this.pinTimer = setTimeout(() => {
+            this.generatePin();
+            console.log(`🔑 New pairing PINs - teacher: ${this.pin}, class: ${this.studentPin} (valid ${Math.round(this.pinLifetime / 60000)} min)`);
+        }, this.pinLifetime);
+        this.pinTimer.unref();
+    }
+
+    pair(pin, name, ip) {
+        // A locked-out address doesn't get its guess checked at all
+        const lockout = this.lockoutRemaining(ip);
+        if (lockout > 0) {
+            return { error: 'Too many wrong PINs - wait and try again', retryAfter: Math.ceil(lockout / 1000) };
+        }
+
+        if (Date.now() > this.pinExpires) {
+            this.generatePin();
+            return { error: 'PIN expired - check the server console for a new one' };
+        }
+
+        const given = String(pin || '');
+        const role = this.matches(given, this.pin) ? 'teacher'
+            : this.matches(given, this.studentPin) ? 'student'
+            : null;
+
+        if (!role) {
+            this.recordFailure(ip);
+            return { error: 'Invalid PIN' };
+        }
+        this.failures.delete(ip);
+
+        const device = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: String(name || 'Unnamed device').substring(0, 40),
+            role: role,
+            ip: ip,
+            pairedAt: new Date().toISOString()
+        };
+
+        this.devices.set(device.id, device);
+        this.saveDevices();
+        console.log(`🔗 Device paired: ${device.name} (${device.id}, ${role}) from ${ip}`);
+
+        return { token: `${device.id}.${this.sign(device.id)}`, device };
+    }
+
+    lockoutRemaining(ip) {
+        const entry = this.failures.get(ip);
+        return entry ? entry.lockedUntil - Date.now() : 0;
+    }
+
+    recordFailure(ip) {
+        const now = Date.now();
+        // Forget addresses that have been quiet for a while so the map can't grow forever
+        this.failures.forEach((entry, address) => {
+            if (now - entry.lastFailure > this.maxLockout * 2) this.failures.delete(address);
+        });
+
+        const entry = this.failures.get(ip) || { count: 0, lockedUntil: 0, lastFailure: 0 };
+        entry.count++;
+        entry.lastFailure = now;
+        if (entry.count >= this.maxAttempts) {
+            const delay = Math.min(1000 * 2 ** (entry.count - this.maxAttempts), this.maxLockout);
+            entry.lockedUntil = now + delay;
+            console.log(`⚠️  ${entry.count} wrong PINs from ${ip} - locked out for ${formatDuration(delay)}`);
+        }
+        this.failures.set(ip, entry);
+    }
+
+    matches(given, pin) {
+        const expected = Buffer.from(pin);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    sign(deviceId) {
+        return crypto.createHmac('sha256', this.secret).update(deviceId).digest('base64url');
+    }
+
+    verify(token) {
+        if (typeof token !== 'string') return null;
+
+        const [deviceId, signature] = token.split('.');
+        if (!deviceId || !signature) return null;
+
+        const expected = Buffer.from(this.sign(deviceId));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return null;
+        }
+
+        // A valid signature is not enough - revoked devices are removed from the list
+        const device = this.devices.get(deviceId);
+        if (!device) return null;
+        if (!device.role) device.role = 'teacher';
+        return device;
+    }
+
+    revoke(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device) return false;
+
+        this.devices.delete(deviceId);
+        this.saveDevices();
+        console.log(`🚫 Device revoked: ${device.name} (${device.id})`);
+        return true;
+    }
+
+    list() {
+        return Array.from(this.devices.values());
+    }
+
+    loadDevices() {
+        if (!this.devicesFile) return;
+
+        try {
+            const devices = JSON.parse(fs.readFileSync(this.devicesFile, 'utf8'));
+            devices.forEach(device => this.devices.set(device.id, device));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Error loading paired devices:', err.message);
+            }
+        }
+    }
+
+    saveDevices() {
+        if (!this.devicesFile) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.devicesFile), { recursive: true });
+            fs.writeFileSync(this.devicesFile, JSON.stringify(this.list(), null, 2), { mode: 0o600 });
+        } catch (err) {
+            console.error('Error saving paired devices:', err.message);
+        }
+    }
+}
+
+// Connections from the classroom computer itself act as the teacher
+const LOCAL_DEVICE = { id: 'local', name: 'This computer', role: 'teacher' };
+
+// Scripts holding the configured API token (Stream Deck, cron jobs) also act as the teacher
+const API_DEVICE = { id: 'api', name: 'HTTP API', role: 'teacher' };
+
+function isLoopback(address) {
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// Session token from the Authorization header or, for WebSocket upgrades, the query string
+function getRequestToken(req) {
+    const auth = req.headers['authorization'];
+    if (auth && auth.startsWith('Bearer ')) {
+        return auth.substring(7);
+    }
+
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// Browsers send Origin on every WebSocket upgrade and cross-site request, and Sec-Fetch-Site on
+// the rest, so a page from another site can't pass for one of ours. Scripts send neither.
+function isSameOrigin(req) {
+    const origin = req.headers['origin'];
+    if (origin !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch (err) {
+            return false;
+        }
+        if (parsed.host !== req.headers['host']) return false;
+    }
+
+    const site = req.headers['sec-fetch-site'];
+    return !site || site === 'same-origin' || site === 'none';
+}
+
+// Loopback trust is only for our own pages on this computer. The Host check stops a rebound DNS
+// name (evil.example pointed at 127.0.0.1) from counting as same-origin.
+function isTrustedLocal(req) {
+    if (!isLoopback(req.socket.remoteAddress) || !isSameOrigin(req)) return false;
+
+    try {
+        const hostname = new URL(`http://${req.headers['host']}`).hostname;
+        return ['localhost', '127.0.0.1', '[::1]', localIP].includes(hostname);
+    } catch (err) {
+        return false;
+    }
+}
+
+// WebSocket protocol constants (RFC 6455)
+const OPCODE = {
+    CONTINUATION: 0x00,
+    TEXT: 0x01,
+    BINARY: 0x02,
+    CLOSE: 0x08,
+    PING: 0x09,
+    PONG: 0x0A
+};
+
+const CLOSE_CODE = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    INVALID_DATA: 1007,
+    POLICY_VIOLATION: 1008,
+    MESSAGE_TOO_BIG: 1009
+};
+
+// A message the server understood but refused; code goes back to the phone with the reason
+class CommandError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+    }
+}
+
+// What to tell the phone when a command failed, e.g. a helper tool that isn't installed
+function describeFailure(err) {
+    if (err instanceof CommandError) return { code: err.code, message: err.message };
+    if (err.code === 'ENOENT' && err.path) {
+        return { code: 'tool_missing', message: `${path.basename(err.path)} is not installed on this computer` };
+    }
+    const detail = (err.stderr && String(err.stderr).trim()) || err.message;
+    return { code: 'command_failed', message: detail.split('\n')[0].slice(0, 200) };
+}
+
+class WebSocketProtocolError extends Error {
+    constructor(message, closeCode = CLOSE_CODE.PROTOCOL_ERROR) {
+        super(message);
+        this.name = 'WebSocketProtocolError';
+        this.closeCode = closeCode;
+    }
+}
+
+// Incremental frame parser - one per connection, buffers partial frames across 'data' events
+class FrameParser {
+    constructor(options = {}) {
+        this.maxMessageSize = options.maxMessageSize || 1024 * 1024;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.fragmentSize = 0;
+        this.utf8 = new TextDecoder('utf-8', { fatal: true });
+    }
+
+    // Returns complete messages and control frames as { opcode, payload }
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        const frames = [];
+
+        let frame;
+        while ((frame = this.readFrame())) {
+            const message = this.processFrame(frame);
+            if (message) frames.push(message);
+        }
+
+        return frames;
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = Boolean(buffer[0] & 0x80);
+        const rsv = buffer[0] & 0x70;
+        const opcode = buffer[0] & 0x0F;
+        const isMasked = Boolean(buffer[1] & 0x80);
+        let payloadLength = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (rsv !== 0) throw new WebSocketProtocolError('Reserved bits set without a negotiated extension');
+        if (!isMasked) throw new WebSocketProtocolError('Client frames must be masked');
+
+        if (payloadLength === 126) {
+            if (buffer.length < offset + 2) return null;
+            payloadLength = buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (payloadLength === 127) {
+            if (buffer.length < offset + 8) return null;
+            const length = buffer.readBigUInt64BE(offset);
+            if (length > BigInt(this.maxMessageSize)) {
+                throw new WebSocketProtocolError('Message too big', CLOSE_CODE.MESSAGE_TOO_BIG);
+            }
+            payloadLength = Number(length);
+            offset += 8;
+        }
+
+        if (opcode >= OPCODE.CLOSE && (!fin || payloadLength > 125)) {
+            throw new WebSocketProtocolError('Control frames must be final and at most 125 bytes');
+        }
+        if (this.fragmentSize + payloadLength > this.maxMessageSize) {
+            throw new WebSocketProtocolError('Message too big', CLOSE_CODE.MESSAGE_TOO_BIG);
+        }
+
+        if (buffer.length < offset + 4 + payloadLength) return null;
+
+        const maskingKey = buffer.subarray(offset, offset + 4);
+        offset += 4;
+
+        const payload = Buffer.alloc(payloadLength);
+        for (let i = 0; i < payloadLength; i++) {
+            payload[i] = buffer[offset + i] ^ maskingKey[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + payloadLength);
+        return { fin, opcode, payload };
+    }
+
+    processFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.CLOSE:
+            case OPCODE.PING:
+            case OPCODE.PONG:
+                // Control frames may arrive in between the fragments of a message
+                return { opcode, payload };
+
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+                if (this.fragmentOpcode !== null) {
+                    throw new WebSocketProtocolError('New message started before the previous one finished');
+                }
+                if (fin) return this.completeMessage(opcode, payload);
+
+                this.fragmentOpcode = opcode;
+                this.fragments = [payload];
+                this.fragmentSize = payload.length;
+                return null;
+
+            case OPCODE.CONTINUATION:
+                if (this.fragmentOpcode === null) {
+                    throw new WebSocketProtocolError('Continuation frame without a message to continue');
+                }
+                this.fragments.push(payload);
+                this.fragmentSize += payload.length;
+                if (!fin) return null;
+
+                const message = this.completeMessage(this.fragmentOpcode, Buffer.concat(this.fragments));
+                this.fragmentOpcode = null;
+                this.fragments = [];
+                this.fragmentSize = 0;
+                return message;
+
+            default:
+                throw new WebSocketProtocolError(`Unknown opcode 0x${opcode.toString(16)}`);
+        }
+    }
+
+    completeMessage(opcode, payload) {
+        if (opcode === OPCODE.TEXT) {
+            try {
+                return { opcode, payload: this.utf8.decode(payload) };
+            } catch (err) {
+                throw new WebSocketProtocolError('Invalid UTF-8 in text message', CLOSE_CODE.INVALID_DATA);
+            }
+        }
+
+        return { opcode, payload };
+    }
+}
+
+function encodeFrame(data, opcode = OPCODE.TEXT) {
+    const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const payloadLength = payload.length;
+    
+    let header;
+    if (payloadLength <= 125) {
+        header = Buffer.alloc(2);
+        header[1] = payloadLength;
+    } else if (payloadLength <= 65535) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payloadLength, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payloadLength), 2);
+    }
+    header[0] = 0x80 | opcode;
+    
+    return Buffer.concat([header, payload]);
+}
+
+// Messages that drive the computer - only the holder of the control floor may send them
+const INPUT_COMMANDS = new Set([
+    'mouse_move', 'mouse_move_relative', 'mouse_click', 'double_click', 'mouse_down', 'mouse_up',
+    'scroll', 'key_press', 'type_text',
+    'next_slide', 'prev_slide', 'play_pause', 'volume_up', 'volume_down', 'toggle_fullscreen',
+    'mute', 'next_track', 'prev_track', 'brightness_up', 'brightness_down', 'blank_screen', 'display_sleep',
+    'run_macro', 'clipboard_set', 'focus_window', 'close_window', 'launch', 'open_upload'
+]);
+
+// Drawing on the overlay is shown to the whole class, so it follows the control floor too
+const ANNOTATION_COMMANDS = new Set([
+    'laser', 'laser_off', 'stroke_start', 'stroke_point', 'stroke_end',
+    'annotate_undo', 'annotate_clear', 'annotate_save'
+]);
+
+// The only messages a poll voter's connection may send
+const VOTER_COMMANDS = new Set(['poll_vote']);
+
+// Every message type handleMessage understands - the `commands` setting picks from these
+const MESSAGE_TYPES = [
+    ...INPUT_COMMANDS, ...ANNOTATION_COMMANDS,
+    'clipboard_get', 'list_windows', 'list_uploads', 'delete_upload', 'set_profile', 'preview_start', 'preview_stop', 'preview_ack',
+    'request_control', 'cancel_request', 'grant_control', 'deny_request', 'revoke_control',
+    'session_start', 'session_pause', 'session_reset', 'session_configure', 'session_set_slide',
+    'poll_create', 'poll_lock', 'poll_reveal', 'poll_close', 'poll_vote'
+];
+
+// Field rules for every message type; fields that aren't listed never reach dispatch.
+// Numbers are clamped to min/max, coordinates to the detected desktop.
+const BUTTON_FIELD = { type: 'enum', choices: ['left', 'middle', 'right'] };
+const FRACTION_FIELD = { type: 'number', min: 0, max: 1, required: true };
+const COLOR_FIELD = { type: 'string', maxLength: 7 };
+
+const MESSAGE_SCHEMAS = {
+    mouse_move: { x: { type: 'coordinate', axis: 'x', required: true }, y: { type: 'coordinate', axis: 'y', required: true } },
+    mouse_move_relative: { dx: { type: 'number', min: -2000, max: 2000, required: true }, dy: { type: 'number', min: -2000, max: 2000, required: true } },
+    mouse_click: { button: BUTTON_FIELD },
+    double_click: { button: BUTTON_FIELD },
+    mouse_down: { button: BUTTON_FIELD },
+    mouse_up: { button: BUTTON_FIELD },
+    scroll: { direction: { type: 'enum', choices: ['up', 'down'], required: true }, amount: { type: 'number', min: 1, max: 50 } },
+    key_press: { key: { type: 'key', required: true }, modifier: { type: 'modifiers' } },
+    type_text: { text: { type: 'text', limit: 'text', required: true } },
+    next_slide: {},
+    prev_slide: {},
+    play_pause: {},
+    volume_up: {},
+    volume_down: {},
+    toggle_fullscreen: {},
+    mute: {},
+    next_track: {},
+    prev_track: {},
+    brightness_up: {},
+    brightness_down: {},
+    // Without `on` the screen toggles
+    blank_screen: { on: { type: 'boolean' } },
+    display_sleep: {},
+    run_macro: { macro: { type: 'string', maxLength: 64, required: true } },
+    clipboard_set: { text: { type: 'text', limit: 'clipboard', minLength: 1, required: true }, paste: { type: 'boolean' } },
+    clipboard_get: {},
+    list_windows: {},
+    focus_window: { window: { type: 'string', maxLength: 100, required: true } },
+    close_window: { window: { type: 'string', maxLength: 100, required: true } },
+    launch: { launcher: { type: 'string', maxLength: 64, required: true } },
+    list_uploads: {},
+    open_upload: { file: { type: 'string', maxLength: 200, required: true } },
+    delete_upload: { file: { type: 'string', maxLength: 200, required: true } },
+    laser: { x: FRACTION_FIELD, y: FRACTION_FIELD, color: COLOR_FIELD },
+    laser_off: {},
+    stroke_start: {
+        tool: { type: 'enum', choices: ANNOTATION_TOOLS }, color: COLOR_FIELD,
+        width: { type: 'number', min: 1, max: 40 }, x: FRACTION_FIELD, y: FRACTION_FIELD
+    },
+    stroke_point: { x: FRACTION_FIELD, y: FRACTION_FIELD },
+    stroke_end: {},
+    annotate_undo: {},
+    annotate_clear: {},
+    annotate_save: {},
+    set_profile: { profile: { type: 'string', maxLength: 64, required: true } },
+    preview_start: { width: { type: 'number', min: 160, max: 3840 }, fps: { type: 'number', min: 0.5, max: 15 }, display: { type: 'string', maxLength: 64 } },
+    preview_stop: {},
+    preview_ack: {},
+    request_control: {},
+    cancel_request: {},
+    grant_control: { clientId: { type: 'string', maxLength: 32, required: true }, duration: { type: 'number', min: 0, max: 86400 } },
+    deny_request: { clientId: { type: 'string', maxLength: 32, required: true } },
+    revoke_control: {},
+    // The timer checks its own ranges and explains what's wrong, so these are only type checks
+    session_start: {},
+    session_pause: {},
+    session_reset: {},
+    session_configure: { durationMinutes: { type: 'number' }, warnMinutes: { type: 'number' }, checkpoints: { type: 'list', maxItems: 50 } },
+    session_set_slide: { slide: { type: 'number', required: true } },
+    poll_create: {
+        question: { type: 'string', maxLength: 300, required: true },
+        kind: { type: 'enum', choices: POLL_KINDS, required: true },
+        options: { type: 'list', maxItems: 8 },
+        anonymous: { type: 'boolean' },
+        correct: { type: 'number' }
+    },
+    poll_lock: { locked: { type: 'boolean' } },
+    poll_reveal: { revealed: { type: 'boolean' } },
+    poll_close: {},
+    // Choices are checked against the poll's own options, not clamped into range
+    poll_vote: { choice: { type: 'number' }, text: { type: 'string', maxLength: 300 } }
+};
+
+// Checks a parsed message against MESSAGE_SCHEMAS and returns a clean copy
+class MessageValidator {
+    constructor(controller, options = {}) {
+        this.controller = controller;
+        // Longest strings for 'text' fields, by the field's limit name
+        this.limits = {
+            text: options.maxTextLength || 500,
+            clipboard: options.maxClipboardLength || 20000
+        };
+    }
+
+    validate(data) {
+        if (typeof data.type !== 'string') {
+            throw new CommandError('invalid_message', 'Messages need a type');
+        }
+        const schema = MESSAGE_SCHEMAS[data.type];
+        if (!schema) {
+            throw new CommandError('unknown_command', `Unknown command: ${data.type.slice(0, 64)}`);
+        }
+
+        const clean = { type: data.type };
+        Object.entries(schema).forEach(([name, field]) => {
+            if (data[name] === undefined || data[name] === null) {
+                if (field.required) throw new CommandError('invalid_message', `${data.type}: ${name} is required`);
+                return;
+            }
+            clean[name] = this.field(data.type, name, field, data[name]);
+        });
+        return clean;
+    }
+
+    field(type, name, field, value) {
+        const fail = (reason) => new CommandError('invalid_message', `${type}: ${name} ${reason}`);
+
+        switch (field.type) {
+            case 'number': {
+                if (typeof value !== 'number' || !Number.isFinite(value)) throw fail('must be a number');
+                const min = field.min !== undefined ? field.min : -Infinity;
+                const max = field.max !== undefined ? field.max : Infinity;
+                return clamp(value, min, max);
+            }
+            case 'coordinate': {
+                if (typeof value !== 'number' || !Number.isFinite(value)) throw fail('must be a number');
+                const bounds = this.controller.bounds();
+                return field.axis === 'x'
+                    ? clamp(Math.round(value), bounds.x, bounds.x + bounds.width - 1)
+                    : clamp(Math.round(value), bounds.y, bounds.y + bounds.height - 1);
+            }
+            case 'string':
+                if (typeof value !== 'string') throw fail('must be a string');
+                if (value.length > field.maxLength) throw fail(`must be at most ${field.maxLength} characters`);
+                return value;
+            case 'text': {
+                const limit = this.limits[field.limit];
+                if (typeof value !== 'string') throw fail('must be a string');
+                if (field.minLength && value.length < field.minLength) throw fail('must not be empty');
+                if (value.length > limit) throw fail(`must be at most ${limit} characters`);
+                return value;
+            }
+            case 'boolean':
+                if (typeof value !== 'boolean') throw fail('must be true or false');
+                return value;
+            case 'enum':
+                if (!field.choices.includes(value)) throw fail(`must be one of: ${field.choices.join(', ')}`);
+                return value;
+            case 'key':
+                try {
+                    return normalizeKey(typeof value === 'string' ? value : '');
+                } catch (err) {
+                    throw fail('is not a supported key');
+                }
+            case 'modifiers': {
+                const mods = Array.isArray(value) ? value : [value];
+                if (mods.length > 4 || mods.some(mod => typeof mod !== 'string')) throw fail('must be a modifier name or a list of them');
+                try {
+                    return normalizeModifiers(mods);
+                } catch (err) {
+                    throw fail(`must be from: ${Object.keys(MODIFIER_ALIASES).join(', ')}`);
+                }
+            }
+            case 'list':
+                if (!Array.isArray(value)) throw fail('must be a list');
+                if (value.length > field.maxItems) throw fail(`must have at most ${field.maxItems} entries`);
+                return value;
+        }
+        throw fail('has no rule');
+    }
+}
+
+// Per-connection budget: `rate` messages a second on average, bursts of up to `burst`
+class TokenBucket {
+    constructor(rate, burst = rate) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.refilledAt = Date.now();
+    }
+
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.rate / 1000);
+        this.refilledAt = now;
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+// Resolved value for a pointer move that a newer one replaced before it ran
+const COALESCED = Symbol('coalesced');
+
+// WebSocket server implementation
+class WebSocketServer extends EventEmitter {
+    constructor(server, controller, pairing, profiles, options = {}) {
+        super();
+        this.clients = new Set();
+        this.controller = controller;
+        this.pairing = pairing;
+        this.profiles = profiles;
+        this.launchers = options.launchers;
+        this.uploads = options.uploads;
+        this.maxMessageSize = options.maxMessageSize || 1024 * 1024;
+        this.heartbeatInterval = options.heartbeatInterval || 30000;
+        this.enabledCommands = new Set(options.commands || MESSAGE_TYPES);
+        this.validator = new MessageValidator(controller, {
+            maxTextLength: options.maxTextLength,
+            maxClipboardLength: options.maxClipboardLength
+        });
+        this.rateLimit = options.rateLimit || 200;
+        this.startedAt = Date.now();
+        this.totalCommands = 0;
+        // Refused messages by reason and type, and pointer moves folded into newer ones
+        this.rejections = { total: 0, byCode: {}, byType: {} };
+        this.coalescedMoves = 0;
+        this.httpClients = new Map();
+        this.preview = new ScreenPreview(controller, (client, data) => this.send(client, data), options.preview);
+        this.floor = new ControlFloor();
+        this.floor.on('change', () => {
+            this.broadcastFloor();
+            this.dropPreviewViewers();
+            // Whoever just lost the floor can't send mouse_up any more, so let go for them
+            this.clients.forEach(client => {
+                if (!this.floor.canControl(client)) this.releaseButtons(client);
+            });
+        });
+        this.session = new PresentationSession();
+        this.session.on('change', () => this.broadcastSession());
+        this.annotations = new AnnotationBoard(options.annotations);
+        this.polls = new PollBoard();
+        this.pollTimer = null;
+        this.polls.on('change', () => this.schedulePollUpdate());
+        
+        // Slides are counted once the key press actually went through
+        this.on('command', (client, type, err) => {
+            if (!err) this.session.track(type);
+        });
+        
+        profiles.on('change', () => {
+            this.broadcast({ type: 'profiles', ...profiles.getState() });
+        });
+
+        this.launchers.on('change', () => {
+            this.broadcast({ type: 'launchers', launchers: this.launchers.getState() });
+        });
+
+        // Every teacher phone keeps its file list current, whoever uploaded or deleted
+        this.uploads.on('change', () => {
+            this.uploads.list().then(files => {
+                this.clients.forEach(client => {
+                    if (client.device.role === 'teacher') this.send(client, { type: 'uploads', files });
+                });
+            }).catch(err => console.error('Cannot list uploads:', err.message));
+        });
+        
+        controller.on('displays', (displays) => {
+            this.broadcast({
+                type: 'displays',
+                screenWidth: controller.screenWidth,
+                screenHeight: controller.screenHeight,
+                displays: displays
+            });
+        });
+
+        // Phones show a live level meter and the blank state, whoever changed them
+        controller.on('volume', (volume) => this.broadcast({ type: 'volume', ...volume }));
+        controller.on('blank', (on) => this.broadcast({ type: 'blank', on }));
+        
+        // Ping every client periodically; anyone who stayed silent since the last round is gone
+        this.heartbeat = setInterval(() => this.checkHeartbeats(), this.heartbeatInterval);
+        this.heartbeat.unref();
+
+        server.on('upgrade', (request, socket, head) => {
+            if (request.headers['upgrade'] !== 'websocket') {
+                socket.end('HTTP/1.1 400 Bad Request');
+                return;
+            }
+
+            // Only our own pages may open a socket - otherwise any site open in a browser here could
+            const remoteAddress = request.socket.remoteAddress;
+            if (!isSameOrigin(request)) {
+                console.log(`⛔ Rejected cross-site connection from ${request.headers['origin']}`);
+                socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                return;
+            }
+
+            // The teacher's own machine is trusted; everyone else needs a paired token.
+            // /poll is the join page's socket: poll voters only, wherever they connect from.
+            const voting = new URL(request.url, 'http://localhost').pathname === '/poll';
+            const device = voting
+                ? this.polls.verify(getRequestToken(request))
+                : isTrustedLocal(request)
+                    ? LOCAL_DEVICE
+                    : this.pairing.verify(getRequestToken(request));
+
+            if (!device) {
+                console.log(`⛔ Rejected unpaired connection from ${remoteAddress}`);
+                socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                return;
+            }
+
+            const key = request.headers['sec-websocket-key'];
+            const acceptKey = this.generateAcceptKey(key);
+            
+            const headers = [
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${acceptKey}`,
+                '',
+                ''
+            ].join('\r\n');
+            
+            socket.write(headers);
+            socket.setNoDelay(true);
+            
+            const client = this.createClient(socket, device, remoteAddress);
+            this.clients.add(client);
+            console.log(`✅ Client connected: ${client.id} [${device.name}] (Total: ${this.clients.size})`);
+            this.emit('connect', client);
+            
+            socket.on('data', (buffer) => this.handleData(client, buffer));
+            socket.on('close', () => this.removeClient(client));
+            socket.on('error', (err) => {
+                console.error('Socket error:', err.message);
+                this.removeClient(client);
+            });
+            
+            if (device.role === 'voter') {
+                this.send(client, { type: 'init', role: 'voter', name: device.name });
+                this.send(client, { type: 'poll', ...this.polls.getState(device) });
+                if (head && head.length) this.handleData(client, head);
+                return;
+            }
+            
+            // Send initial screen info
+            this.send(client, {
+                type: 'init',
+                screenWidth: this.controller.screenWidth,
+                screenHeight: this.controller.screenHeight,
+                displays: this.controller.displays,
+                platform: this.controller.platform,
+                role: device.role,
+                commands: Array.from(this.enabledCommands).filter(type => !this.controller.unsupported.has(type)),
+                missingTools: this.controller.missingTools,
+                volume: this.controller.volume,
+                blanked: this.controller.blanked,
+                profiles: this.profiles.getState(),
+                launchers: this.launchers.getState()
+            });
+            this.send(client, this.floorState(client));
+            this.send(client, this.sessionState());
+            
+            if (device.role === 'teacher') this.send(client, { type: 'poll', ...this.polls.getState() });
+            
+            // The level may have changed from the keyboard since anyone last looked
+            this.controller.refreshVolume();
+            
+            if (head && head.length) this.handleData(client, head);
+        });
+    }
+    
+    generateAcceptKey(key) {
+        const magicString = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+        return crypto
+            .createHash('sha1')
+            .update(key + magicString)
+            .digest('base64');
+    }
+    
+    handleData(client, buffer) {
+        if (client.failed) return;
+        
+        let frames;
+        try {
+            frames = client.parser.push(buffer);
+        } catch (err) {
+            // The stream can't be re-synchronised after a bad frame, so fail the connection
+            console.error(`Protocol error from ${client.id}:`, err.message);
+            client.failed = true;
+            this.close(client, err.closeCode || CLOSE_CODE.PROTOCOL_ERROR, err.message);
+            client.socket.end();
+            return;
+        }
+        
+        client.isAlive = true;
+        
+        frames.forEach(({ opcode, payload }) => {
+            switch (opcode) {
+                case OPCODE.TEXT:
+                    if (!client.closing) this.handleMessage(client, payload);
+                    break;
+                    
+                case OPCODE.BINARY:
+                    if (!client.closing) this.handleMessage(client, payload.toString('utf8'));
+                    break;
+                    
+                case OPCODE.PING:
+                    this.sendFrame(client, payload, OPCODE.PONG);
+                    break;
+                    
+                case OPCODE.PONG:
+                    break;
+                    
+                case OPCODE.CLOSE:
+                    this.handleClose(client, payload);
+                    break;
+            }
+        });
+    }
+    
+    handleClose(client, payload) {
+        if (client.closing) {
+            // Peer answered our close frame - the handshake is complete
+            client.socket.end();
+            return;
+        }
+        
+        // Echo the peer's status code back, then let it close the TCP connection
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODE.NORMAL;
+        client.closing = true;
+        this.sendFrame(client, this.closePayload(code), OPCODE.CLOSE);
+        client.socket.end();
+    }
+    
+    // Start a close handshake; the socket is destroyed if the peer never answers
+    close(client, code = CLOSE_CODE.NORMAL, reason = '') {
+        if (client.closing) return;
+        
+        client.closing = true;
+        this.sendFrame(client, this.closePayload(code, reason), OPCODE.CLOSE);
+        
+        const timer = setTimeout(() => client.socket.destroy(), 5000);
+        timer.unref();
+    }
+    
+    closePayload(code, reason = '') {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        // Close reasons share the 125-byte control frame limit with the status code
+        return Buffer.concat([payload, Buffer.from(reason).subarray(0, 123)]);
+    }
+    
+    checkHeartbeats() {
+        this.clients.forEach(client => {
+            if (!client.isAlive) {
+                console.log(`💀 Client ${client.id} stopped responding`);
+                client.socket.destroy();
+                this.removeClient(client);
+                return;
+            }
+            
+            client.isAlive = false;
+            this.sendFrame(client, Buffer.alloc(0), OPCODE.PING);
+        });
+    }
+    
+    removeClient(client) {
+        if (!this.clients.delete(client)) return;
+        this.releaseButtons(client);
+        this.preview.stop(client);
+        this.floor.remove(client);
+        this.annotations.remove(client);
+        console.log(`❌ Client disconnected: ${client.id} (Total: ${this.clients.size})`);
+        this.emit('disconnect', client);
+    }
+    
+    // A drag left half-done would keep a button held down on the classroom computer
+    releaseButtons(client) {
+        client.buttons.forEach(button => {
+            console.log(`🖱️  Releasing ${button} button held by ${client.device.name}`);
+            this.controller.mouseUp(button).catch(err => console.error('Cannot release mouse button:', err.message));
+        });
+        client.buttons.clear();
+    }
+    
+    // Disconnect a single client at the teacher's request
+    kick(clientId) {
+        const client = this.findClient(clientId);
+        if (!client) return false;
+        
+        console.log(`👢 Kicking client: ${client.id} [${client.device.name}]`);
+        this.close(client, CLOSE_CODE.POLICY_VIOLATION, 'Disconnected by teacher');
+        return true;
+    }
+    
+    describeClient(client) {
+        return {
+            id: client.id,
+            deviceId: client.device.id,
+            name: client.device.name,
+            role: client.device.role,
+            ip: client.ip,
+            connectedAt: client.connectedAt,
+            commandCount: client.commandCount,
+            rejectedCount: client.rejectedCount,
+            lastAction: client.lastAction,
+            lastActionAt: client.lastActionAt
+        };
+    }
+    
+    getStatus() {
+        return {
+            startedAt: this.startedAt,
+            uptime: Date.now() - this.startedAt,
+            platform: this.controller.platform,
+            backend: this.controller.backend.name,
+            screenWidth: this.controller.screenWidth,
+            screenHeight: this.controller.screenHeight,
+            displays: this.controller.displays,
+            floor: this.floor.getState(),
+            session: this.session.getState(),
+            totalCommands: this.totalCommands,
+            rejections: this.rejections,
+            coalescedMoves: this.coalescedMoves,
+            clients: Array.from(this.clients, client => this.describeClient(client))
+        };
+    }
+    
+    createClient(socket, device, ip, via = socket ? 'websocket' : 'http') {
+        return {
+            socket: socket,
+            via: via,
+            id: Math.random().toString(36).substr(2, 9),
+            device: device,
+            ip: ip,
+            connectedAt: Date.now(),
+            commandCount: 0,
+            lastAction: null,
+            lastActionAt: null,
+            lastRejectedAt: 0,
+            rejectedCount: 0,
+            bucket: new TokenBucket(this.rateLimit, this.rateLimit),
+            pointer: { running: null, next: null },
+            // Buttons held down by this client's drags, released if it goes away mid-drag
+            buttons: new Set(),
+            parser: new FrameParser({ maxMessageSize: this.maxMessageSize }),
+            isAlive: true,
+            closing: false,
+            failed: false
+        };
+    }
+    
+    // HTTP callers have no socket; each device keeps one stand-in client so its rate limit
+    // and counters carry over between requests
+    httpClient(device, ip) {
+        let client = this.httpClients.get(device.id);
+        if (!client) {
+            client = this.createClient(null, device, ip);
+            this.httpClients.set(device.id, client);
+        }
+        client.ip = ip;
+        return client;
+    }
+    
+    // Close every connection cleanly, e.g. when the server shuts down
+    shutdown() {
+        clearInterval(this.heartbeat);
+        this.session.stop();
+        this.clients.forEach(client => this.preview.stop(client));
+        this.clients.forEach(client => this.close(client, CLOSE_CODE.GOING_AWAY, 'Server shutting down'));
+    }
+    
+    handleMessage(client, message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (err) {
+            console.error('Error parsing message:', err.message);
+            return;
+        }
+        if (!data || typeof data !== 'object') return;
+        
+        // Requests tagged with an id get exactly one ack or error back
+        const id = (typeof data.id === 'string' && data.id.length <= 64) || Number.isSafeInteger(data.id) ? data.id : null;
+        const type = typeof data.type === 'string' ? data.type.slice(0, 64) : null;
+        
+        this.execute(client, data).then(value => {
+            if (id === null) return;
+            const ack = { type: 'ack', id, command: type };
+            if (value === COALESCED) ack.coalesced = true;
+            this.send(client, ack);
+        }, err => {
+            const failure = describeFailure(err);
+            this.reject(client, failure.code, failure.message, type, id);
+        });
+    }
+    
+    // The one path every command takes, from a WebSocket message or POST /api/command:
+    // rate limit, permissions, schema, then dispatch. Resolves with the command's result and
+    // rejects with why it was refused or failed - backend failures are reported, never thrown.
+    execute(client, data) {
+        const type = typeof data.type === 'string' ? data.type.slice(0, 64) : null;
+        const isInput = INPUT_COMMANDS.has(type);
+        
+        try {
+            if (!client.bucket.take()) {
+                throw new CommandError('rate_limited', 'Too many messages - slow down');
+            }
+            this.checkAllowed(client, type);
+            data = this.validator.validate(data);
+        } catch (err) {
+            this.countRejection(client, err.code, type);
+            // A flood is summed up in the counters rather than written out message by message
+            if (err.code !== 'rate_limited') this.emit('handled', client, { type }, err);
+            return Promise.reject(err);
+        }
+        
+        let result;
+        try {
+            result = this.dispatch(client, data);
+        } catch (err) {
+            result = Promise.reject(err);
+        }
+        
+        if (isInput) {
+            client.commandCount++;
+            client.lastAction = data.type;
+            client.lastActionAt = Date.now();
+            this.totalCommands++;
+        }
+        
+        return Promise.resolve(result).then(value => {
+            if (isInput) this.emit('command', client, data.type, null);
+            this.emit('handled', client, data, null, value);
+            return value;
+        }, err => {
+            if (isInput) {
+                console.error(`Command ${data.type} failed:`, err.message);
+                this.emit('command', client, data.type, err);
+            }
+            this.emit('handled', client, data, err);
+            throw err;
+        });
+    }
+    
+    countRejection(client, code, type) {
+        const rejections = this.rejections;
+        rejections.total++;
+        rejections.byCode[code] = (rejections.byCode[code] || 0) + 1;
+        // Unknown types are counted together so junk can't grow the table
+        const key = MESSAGE_SCHEMAS[type] ? type : 'other';
+        rejections.byType[key] = (rejections.byType[key] || 0) + 1;
+        client.rejectedCount++;
+        this.emit('rejected', client, type, code);
+    }
+    
+    // Pointer moves arrive faster than a helper process can start. While one runs only the
+    // newest waits; relative moves are added up so no distance is lost.
+    movePointer(client, data) {
+        const pointer = client.pointer;
+        if (pointer.next) {
+            const queued = pointer.next.data;
+            if (data.type === 'mouse_move_relative' && queued.type === 'mouse_move_relative') {
+                data = { ...data, dx: queued.dx + data.dx, dy: queued.dy + data.dy, samples: (queued.samples || 1) + 1 };
+            }
+            pointer.next.resolve(COALESCED);
+            pointer.next = null;
+            this.coalescedMoves++;
+        }
+        
+        if (!pointer.running) return this.runPointerMove(client, data);
+        return new Promise((resolve, reject) => {
+            pointer.next = { data, resolve, reject };
+        });
+    }
+    
+    runPointerMove(client, data) {
+        const pointer = client.pointer;
+        const move = data.type === 'mouse_move'
+            ? this.controller.moveMouse(data.x, data.y)
+            : this.controller.moveMouseRelative(data.dx, data.dy, data.samples);
+        pointer.running = move;
+        
+        const next = () => {
+            pointer.running = null;
+            const queued = pointer.next;
+            if (!queued) return;
+            pointer.next = null;
+            this.runPointerMove(client, queued.data).then(queued.resolve, queued.reject);
+        };
+        move.then(next, next);
+        return move;
+    }
+    
+    // Settings and the control floor decide who may send what
+    checkAllowed(client, type) {
+        if (client.device.role === 'voter' && !VOTER_COMMANDS.has(type)) {
+            throw new CommandError('forbidden', 'Poll participants can only answer polls');
+        }
+        if (MESSAGE_TYPES.includes(type) && !this.enabledCommands.has(type)) {
+            throw new CommandError('command_disabled', `${type} is turned off on this computer`);
+        }
+        
+        const drivesScreen = INPUT_COMMANDS.has(type) || ANNOTATION_COMMANDS.has(type);
+        if (drivesScreen && !this.floor.canControl(client)) {
+            const holder = this.floor.holder;
+            throw new CommandError('not_your_turn', holder
+                ? `Not your turn - ${holder.device.name} has control`
+                : 'Not your turn - raise your hand to request control');
+        }
+    }
+    
+    // Carry out one message; returns the command's promise, or throws a CommandError
+    dispatch(client, data) {
+        switch (data.type) {
+            case 'mouse_move':
+            case 'mouse_move_relative':
+                return this.movePointer(client, data);
+                
+            case 'mouse_click':
+                return this.controller.click(data.button);
+                
+            case 'double_click':
+                return this.controller.doubleClick(data.button);
+                
+            case 'mouse_down':
+                client.buttons.add(data.button || 'left');
+                return this.controller.mouseDown(data.button);
+                
+            case 'mouse_up':
+                client.buttons.delete(data.button || 'left');
+                return this.controller.mouseUp(data.button);
+                
+            case 'scroll':
+                return this.controller.scroll(data.direction, data.amount);
+                
+            case 'key_press':
+                return this.controller.pressKey(data.key, data.modifier);
+                
+            case 'type_text':
+                return this.controller.typeText(data.text);
+                
+            case 'next_slide':
+                return this.controller.nextSlide();
+                
+            case 'prev_slide':
+                return this.controller.previousSlide();
+                
+            case 'play_pause':
+                return this.controller.playPause();
+                
+            case 'volume_up':
+                return this.controller.volumeUp();
+                
+            case 'volume_down':
+                return this.controller.volumeDown();
+
+            case 'mute':
+                return this.controller.toggleMute();
+
+            case 'next_track':
+                return this.controller.nextTrack();
+
+            case 'prev_track':
+                return this.controller.previousTrack();
+
+            case 'brightness_up':
+                return this.controller.brightnessUp();
+
+            case 'brightness_down':
+                return this.controller.brightnessDown();
+
+            case 'blank_screen':
+                return this.controller.setBlank(data.on);
+
+            case 'display_sleep':
+                return this.controller.displaySleep();
+                
+            case 'toggle_fullscreen':
+                return this.controller.toggleFullscreen();
+                
+            case 'run_macro':
+                return this.profiles.run(data.macro, this.controller);
+                
+            case 'clipboard_set':
+                return this.controller.setClipboard(data.text, data.paste);
+                
+            // The computer's clipboard may hold anything, so only teachers can read it
+            case 'clipboard_get':
+                if (client.device.role !== 'teacher') {
+                    throw new CommandError('forbidden', 'Only a teacher can copy from the computer');
+                }
+                return this.controller.getClipboard().then(text => {
+                    const limit = this.validator.limits.clipboard;
+                    const clipboard = { text: text.slice(0, limit), truncated: text.length > limit };
+                    this.send(client, { type: 'clipboard', ...clipboard });
+                    return clipboard;
+                });
+                
+            // Window titles can be private, so only whoever may drive the computer sees them
+            case 'list_windows':
+                if (!this.floor.canControl(client)) {
+                    throw new CommandError('not_your_turn', 'Not your turn - raise your hand to request control');
+                }
+                return this.controller.listWindows().then(windows => {
+                    this.send(client, { type: 'windows', windows });
+                    return { windows };
+                });
+
+            case 'focus_window':
+                return this.controller.focusWindow(data.window);
+
+            case 'close_window':
+                return this.controller.closeWindow(data.window);
+
+            case 'launch':
+                return this.controller.launch(this.launchers.get(data.launcher));
+
+            // Uploads are the teacher's material; opening one shows it on the projector
+            case 'list_uploads':
+                if (client.device.role !== 'teacher') {
+                    throw new CommandError('forbidden', 'Only a teacher can see uploaded files');
+                }
+                return this.uploads.list().then(files => {
+                    this.send(client, { type: 'uploads', files });
+                    return { files };
+                });
+
+            case 'open_upload': {
+                if (client.device.role !== 'teacher') {
+                    throw new CommandError('forbidden', 'Only a teacher can open uploaded files');
+                }
+                const file = this.uploads.resolve(data.file);
+                return this.controller.launch({ label: data.file, kind: 'file', target: file, args: [] });
+            }
+
+            case 'delete_upload':
+                if (client.device.role !== 'teacher') {
+                    throw new CommandError('forbidden', 'Only a teacher can delete uploaded files');
+                }
+                return this.uploads.remove(data.file);
+
+            case 'set_profile':
+                if (client.device.role !== 'teacher') {
+                    throw new CommandError('forbidden', 'Only a teacher can switch profiles');
+                }
+                try {
+                    this.profiles.setActive(data.profile);
+                } catch (err) {
+                    throw new CommandError('unknown_profile', err.message);
+                }
+                return;
+                
+            // Preview streaming is session state, not a command on the computer. Like window titles,
+            // the screen can show private things: students only see it while they have control.
+            case 'preview_start':
+                if (!client.socket) throw new CommandError('invalid_request', 'The live preview needs a WebSocket connection');
+                if (!this.canWatch(client)) {
+                    throw new CommandError('not_your_turn', 'Not your turn - raise your hand to see the screen');
+                }
+                this.preview.start(client, data);
+                return;
+                
+            case 'preview_stop':
+                this.preview.stop(client);
+                return;
+                
+            case 'preview_ack':
+                this.preview.ack(client);
+                return;
+                
+            // Control floor
+            case 'request_control':
+            case 'cancel_request':
+            case 'grant_control':
+            case 'deny_request':
+            case 'revoke_control':
+                return this.handleFloorMessage(client, data);
+                
+            // Annotation overlay
+            case 'laser':
+            case 'laser_off':
+            case 'stroke_start':
+            case 'stroke_point':
+            case 'stroke_end':
+            case 'annotate_undo':
+            case 'annotate_clear':
+            case 'annotate_save':
+                return this.handleAnnotationMessage(client, data);
+                
+            // Presentation timer
+            case 'session_start':
+            case 'session_pause':
+            case 'session_reset':
+            case 'session_configure':
+            case 'session_set_slide':
+                return this.handleSessionMessage(client, data);
+                
+            case 'poll_create':
+            case 'poll_lock':
+            case 'poll_reveal':
+            case 'poll_close':
+            case 'poll_vote':
+                return this.handlePollMessage(client, data);
+                
+            default:
+                console.log('Unknown command:', data.type);
+                throw new CommandError('unknown_command', `Unknown command: ${data.type}`);
+        }
+    }
+    
+    handleFloorMessage(client, data) {
+        const isTeacher = client.device.role === 'teacher';
+        const target = this.findClient(data.clientId);
+        
+        switch (data.type) {
+            case 'request_control':
+                if (client.device.role !== 'student') {
+                    throw new CommandError('invalid_request', 'Only students need to request control');
+                }
+                this.floor.request(client);
+                break;
+                
+            case 'cancel_request':
+                this.floor.cancel(client);
+                break;
+                
+            case 'grant_control':
+                if (!isTeacher) throw new CommandError('forbidden', 'Only a teacher can grant control');
+                if (!target) throw new CommandError('unknown_client', 'That device is no longer connected');
+                this.floor.grant(target, Math.max(0, Number(data.duration) || 0) * 1000);
+                break;
+                
+            case 'deny_request':
+                if (!isTeacher) throw new CommandError('forbidden', 'Only a teacher can deny requests');
+                if (target) {
+                    this.floor.cancel(target);
+                    this.send(target, { type: 'control_denied' });
+                }
+                break;
+                
+            case 'revoke_control':
+                // The holder may also hand control back themselves
+                if (!isTeacher && client !== this.floor.holder) {
+                    throw new CommandError('forbidden', 'Only a teacher can revoke control');
+                }
+                this.floor.revoke();
+                break;
+        }
+    }
+    
+    handleAnnotationMessage(client, data) {
+        try {
+            switch (data.type) {
+                case 'laser':
+                    this.annotations.laser(client, data.x, data.y, data.color);
+                    break;
+                    
+                case 'laser_off':
+                    this.annotations.hideLaser(client);
+                    break;
+                    
+                case 'stroke_start':
+                    this.annotations.startStroke(client, data);
+                    break;
+                    
+                case 'stroke_point':
+                    this.annotations.addPoint(client, data.x, data.y);
+                    break;
+                    
+                case 'stroke_end':
+                    this.annotations.endStroke(client);
+                    break;
+                    
+                case 'annotate_undo':
+                    this.annotations.undo();
+                    break;
+                    
+                case 'annotate_clear':
+                    this.annotations.clear();
+                    break;
+                    
+                case 'annotate_save': {
+                    const file = this.annotations.save(this.controller.screenWidth, this.controller.screenHeight);
+                    this.send(client, { type: 'annotations_saved', file });
+                    return { file };
+                }
+            }
+        } catch (err) {
+            throw new CommandError('invalid_request', err.message);
+        }
+    }
+    
+    handleSessionMessage(client, data) {
+        if (client.device.role !== 'teacher') {
+            throw new CommandError('forbidden', 'Only a teacher can run the presentation timer');
+        }
+        
+        try {
+            switch (data.type) {
+                case 'session_start':
+                    this.session.start();
+                    break;
+                    
+                case 'session_pause':
+                    this.session.pause();
+                    break;
+                    
+                case 'session_reset':
+                    this.session.reset();
+                    break;
+                    
+                case 'session_configure':
+                    this.session.configure(data);
+                    break;
+                    
+                case 'session_set_slide':
+                    this.session.setSlide(data.slide);
+                    break;
+            }
+        } catch (err) {
+            throw new CommandError('invalid_request', err.message);
+        }
+    }
+    
+    // Only the teacher runs polls; anyone connected may answer them
+    handlePollMessage(client, data) {
+        if (data.type === 'poll_vote') {
+            this.polls.vote(client.device, data, client.ip);
+            return;
+        }
+        if (client.device.role !== 'teacher') {
+            throw new CommandError('forbidden', 'Only the teacher can run polls');
+        }
+
+        switch (data.type) {
+            case 'poll_create':
+                return this.polls.create(data);
+            case 'poll_lock':
+                return this.polls.setLocked(data.locked !== false);
+            case 'poll_reveal':
+                return this.polls.setRevealed(data.revealed !== false);
+            case 'poll_close':
+                return this.polls.close();
+        }
+    }
+    
+    findClient(clientId) {
+        for (const client of this.clients) {
+            if (client.id === clientId) return client;
+        }
+        return null;
+    }
+    
+    floorState(client) {
+        return {
+            type: 'floor',
+            ...this.floor.getState(),
+            self: client.id,
+            role: client.device.role,
+            hasControl: this.floor.canControl(client)
+        };
+    }
+    
+    broadcastFloor() {
+        this.clients.forEach(client => this.send(client, this.floorState(client)));
+    }
+    
+    canWatch(client) {
+        return client.device.role === 'teacher' || this.floor.canControl(client);
+    }
+    
+    // A student who hands back or loses the floor stops seeing the screen too
+    dropPreviewViewers() {
+        this.preview.viewers.forEach((viewer, client) => {
+            if (this.canWatch(client)) return;
+            this.preview.stop(client);
+            this.send(client, { type: 'preview_error', message: 'Your turn is over' });
+        });
+    }
+    
+    sessionState() {
+        return { type: 'session', ...this.session.getState() };
+    }
+    
+    broadcastSession() {
+        this.broadcast(this.sessionState());
+    }
+    
+    // Votes can arrive from a whole class at once, so poll updates go out at most every 200ms.
+    // Teachers get live results; each voter gets their own view.
+    schedulePollUpdate() {
+        if (this.pollTimer) return;
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            const teacherState = { type: 'poll', ...this.polls.getState() };
+            this.clients.forEach(client => {
+                if (client.device.role === 'teacher') this.send(client, teacherState);
+                else if (client.device.role === 'voter') this.send(client, { type: 'poll', ...this.polls.getState(client.device) });
+            });
+        }, 200);
+    }
+    
+    sendError(client, code, message, command = null, id = null) {
+        const error = { type: 'error', code, message, command };
+        if (id !== null) error.id = id;
+        this.send(client, error);
+    }
+    
+    // Tagged requests always get their answer; untagged ones arrive in bursts (pointer moves),
+    // so one reminder a second is plenty
+    reject(client, code, message, command, id = null) {
+        if (id === null) {
+            if (Date.now() - client.lastRejectedAt < 1000) return;
+            client.lastRejectedAt = Date.now();
+        }
+        this.sendError(client, code, message, command, id);
+    }
+    
+    // Drop live connections of a device whose pairing was revoked
+    disconnectDevice(deviceId) {
+        this.clients.forEach(client => {
+            if (client.device.id === deviceId) {
+                this.close(client, CLOSE_CODE.POLICY_VIOLATION, 'Device revoked');
+            }
+        });
+    }
+    
+    // Poll voters only ever hear about polls
+    broadcast(data) {
+        this.clients.forEach(client => {
+            if (client.device.role !== 'voter') this.send(client, data);
+        });
+    }
+    
+    send(client, data) {
+        if (Buffer.isBuffer(data)) {
+            this.sendFrame(client, data, OPCODE.BINARY);
+            return;
+        }
+        
+        const message = typeof data === 'string' ? data : JSON.stringify(data);
+        this.sendFrame(client, message, OPCODE.TEXT);
+    }
+    
+    sendFrame(client, data, opcode) {
+        // Nothing but the close reply may follow our own close frame
+        if (client.closing && opcode !== OPCODE.CLOSE) return;
+        // HTTP callers get their answer in the response instead
+        if (!client.socket) return;
+        
+        if (client.socket.writable) {
+            try {
+                client.socket.write(encodeFrame(data, opcode));
+            } catch (err) {
+                console.error('Error sending message:', err.message);
+            }
+        }
+    }
+}
+
+// Server-Sent Events to any number of open pages. Subclasses send each new page its starting
+// state in greet() and everything after that through publish().
+class EventFeed {
+    constructor() {
+        this.streams = new Set();
+
+        // Comment lines keep proxies and browsers from timing out idle streams
+        this.keepAlive = setInterval(() => {
+            this.streams.forEach(res => res.write(': keep-alive\n\n'));
+        }, 25000);
+        this.keepAlive.unref();
+    }
+
+    subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        this.streams.add(res);
+        this.greet(res);
+
+        req.on('close', () => this.streams.delete(res));
+    }
+
+    greet(res) {}
+
+    // Droppable events are superseded by the next one, so a backed-up stream may skip them
+    publish(event, data, droppable = false) {
+        this.streams.forEach(res => {
+            if (droppable && res.writableLength > 64 * 1024) return;
+            this.write(res, event, data);
+        });
+    }
+
+    write(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Open streams never end by themselves and would keep server.close() waiting
+    close() {
+        clearInterval(this.keepAlive);
+        this.streams.forEach(res => res.end());
+        this.streams.clear();
+    }
+}
+
+// Live status feed for the desktop monitor
+class StatusFeed extends EventFeed {
+    constructor(wss, pairing) {
+        super();
+        this.wss = wss;
+        this.pairing = pairing;
+        this.statusTimer = null;
+
+        wss.on('connect', client => {
+            this.publish('connect', wss.describeClient(client));
+            this.scheduleStatus();
+        });
+        wss.on('disconnect', client => {
+            this.publish('disconnect', wss.describeClient(client));
+            this.scheduleStatus();
+        });
+        wss.floor.on('change', () => this.scheduleStatus());
+        wss.session.on('change', () => this.scheduleStatus());
+        wss.on('command', (client, type, err) => {
+            // Pointer moves arrive many times a second - they only show up in the counters
+            if (type !== 'mouse_move' && type !== 'mouse_move_relative') {
+                this.publish('command', {
+                    client: wss.describeClient(client),
+                    type: type,
+                    ok: !err,
+                    error: err ? err.message : null
+                });
+            }
+            this.scheduleStatus();
+        });
+        // Refusals can come in floods, so they only show up in the counters too
+        wss.on('rejected', () => this.scheduleStatus());
+        // The monitor doubles as the projector's live results chart
+        wss.polls.on('change', () => this.schedulePoll());
+        this.pollTimer = null;
+    }
+
+    greet(res) {
+        this.write(res, 'status', this.getStatus());
+        this.write(res, 'poll', this.wss.polls.getState());
+    }
+
+    schedulePoll() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.publish('poll', this.wss.polls.getState());
+        }, 200);
+    }
+
+    getStatus() {
+        return { ...this.wss.getStatus(), devices: this.pairing.list() };
+    }
+
+    // Coalesce bursts of activity into at most two snapshots per second
+    scheduleStatus() {
+        if (this.statusTimer) return;
+
+        this.statusTimer = setTimeout(() => {
+            this.statusTimer = null;
+            this.publish('status', this.getStatus());
+        }, 500);
+    }
+}
+
+// Annotation events for the overlay page on the classroom computer
+class OverlayFeed extends EventFeed {
+    constructor(board, controller) {
+        super();
+        this.board = board;
+        this.controller = controller;
+
+        // Open overlays blank the projector by covering it, so report how many took it on
+        controller.on('blank', (on, handled) => {
+            this.publish('blank', { on });
+            if (handled) handled.screens += this.streams.size;
+        });
+
+        // A backed-up overlay may skip laser dots
+        board.on('laser', data => this.publish('laser', data, true));
+        ['stroke', 'point', 'undo', 'clear'].forEach(event => {
+            board.on(event, data => this.publish(event, data || {}));
+        });
+    }
+
+    greet(res) {
+        this.write(res, 'state', { ...this.board.getState(), blanked: this.controller.blanked });
+    }
+}
+
+// Every handled command as one JSON line: when, which client and device, from where, what and
+// with what outcome. Lines are batched to disk; at maxSize commands.jsonl becomes commands.1.jsonl,
+// that becomes commands.2.jsonl and so on, keeping maxFiles files in all.
+class AuditLog {
+    constructor(wss, options = {}) {
+        this.directory = options.directory || path.join(os.homedir(), '.classroom-control', 'audit');
+        this.maxSize = options.maxSize || 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 10;
+        // Typed and clipboard text can be passwords, so only its length is kept unless asked for
+        this.keepText = Boolean(options.keepText);
+        this.pending = [];
+        this.size = null;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+
+        if (options.enabled !== false) {
+            wss.on('handled', (client, data, err, value) => this.record(client, data, err, value));
+        }
+    }
+
+    fileName(index) {
+        return path.join(this.directory, index === 0 ? 'commands.jsonl' : `commands.${index}.jsonl`);
+    }
+
+    record(client, data, err, value) {
+        // Preview acks are flow control, not something anyone did
+        if (data.type === 'preview_ack') return;
+
+        const { type, ...args } = data;
+        // Answers stay out of the log so anonymous polls stay anonymous
+        if (type === 'poll_vote') {
+            delete args.choice;
+            delete args.text;
+        }
+        const redacted = !this.keepText && (type === 'type_text' || type === 'clipboard_set') && typeof args.text === 'string';
+        if (redacted) {
+            args.textLength = args.text.length;
+            delete args.text;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            client: client.id,
+            device: client.device.id,
+            name: client.device.name,
+            role: client.device.role,
+            ip: client.ip,
+            via: client.via,
+            command: type,
+            args: args,
+            outcome: 'ok'
+        };
+        if (redacted) entry.redacted = true;
+        if (err) {
+            const failure = describeFailure(err);
+            entry.outcome = failure.code;
+            entry.error = failure.message;
+        } else if (value === COALESCED) {
+            entry.outcome = 'coalesced';
+        }
+
+        this.pending.push(JSON.stringify(entry) + '\n');
+        if (!this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), 500);
+    }
+
+    // Writes run one after another so lines never interleave, even across a rotation
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.writing = this.writing.then(() => this.write()).catch(err => {
+            console.error('Error writing audit log:', err.message);
+        });
+        return this.writing;
+    }
+
+    async write() {
+        if (this.pending.length === 0) return;
+        const chunk = this.pending.join('');
+        this.pending = [];
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        if (this.size === null) {
+            this.size = await fs.promises.stat(this.fileName(0)).then(stats => stats.size, () => 0);
+        }
+        const bytes = Buffer.byteLength(chunk);
+        if (this.size > 0 && this.size + bytes > this.maxSize) await this.rotate();
+
+        await fs.promises.appendFile(this.fileName(0), chunk, { mode: 0o600 });
+        this.size += bytes;
+    }
+
+    async rotate() {
+        await fs.promises.rm(this.fileName(this.maxFiles - 1), { force: true });
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            await fs.promises.rename(this.fileName(index), this.fileName(index + 1)).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        }
+        this.size = 0;
+    }
+
+    // Calls onEntry for every matching entry, oldest first; filters are { from, to, client, command }
+    // with times in milliseconds and client matching either the connection or the device id.
+    // Reading waits while a promise returned by onEntry is pending, so a slow consumer sets the pace.
+    async query(filter, onEntry) {
+        await this.flush();
+
+        for (let index = this.maxFiles - 1; index >= 0; index--) {
+            const file = this.fileName(index);
+            if (!fs.existsSync(file)) continue;
+
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+            for await (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    continue;
+                }
+                const time = Date.parse(entry.time);
+                if (filter.from !== undefined && time < filter.from) continue;
+                if (filter.to !== undefined && time > filter.to) continue;
+                if (filter.client && entry.client !== filter.client && entry.device !== filter.client) continue;
+                if (filter.command && entry.command !== filter.command) continue;
+                await onEntry(entry, line);
+            }
+        }
+    }
+}
+
+// Feeds logged commands back through the dispatcher at their original pace (gaps capped at
+// maxGap, divided by speed). Only what actually drove the screen is replayed: input and annotation
+// commands that succeeded. Replayed commands are audited too, as coming from "Replay".
+class CommandReplay {
+    constructor(wss, options = {}) {
+        this.wss = wss;
+        this.maxGap = options.maxGap || 5000;
+        this.state = null;
+        this.client = null;
+    }
+
+    start(entries, speed = 1) {
+        if (this.state && this.state.running) throw new Error('A replay is already running');
+
+        // Redacted entries no longer say what was typed, so there is nothing to replay
+        const steps = entries.filter(entry => entry.outcome === 'ok' && !entry.redacted &&
+            (INPUT_COMMANDS.has(entry.command) || ANNOTATION_COMMANDS.has(entry.command)));
+        this.state = {
+            running: true,
+            total: steps.length,
+            skipped: entries.length - steps.length,
+            done: 0,
+            failed: 0,
+            lastError: null,
+            speed: speed,
+            startedAt: Date.now()
+        };
+
+        const client = this.wss.createClient(null, { id: 'replay', name: 'Replay', role: 'teacher' }, '127.0.0.1', 'replay');
+        // The log's own pacing limits a replay, not the per-phone budget
+        client.bucket = { take: () => true };
+        this.client = client;
+
+        console.log(`⏯️  Replaying ${steps.length} commands at ${speed}x`);
+        this.run(client, steps, this.state);
+        return this.state;
+    }
+
+    async run(client, steps, state) {
+        let previous = null;
+        for (const entry of steps) {
+            if (!state.running) break;
+
+            const time = Date.parse(entry.time);
+            if (previous !== null && time > previous) {
+                await new Promise(resolve => setTimeout(resolve, Math.min(time - previous, this.maxGap) / state.speed));
+                if (!state.running) break;
+            }
+            previous = time;
+
+            try {
+                await this.wss.execute(client, { type: entry.command, ...entry.args });
+                state.done++;
+            } catch (err) {
+                state.failed++;
+                state.lastError = `${entry.command}: ${describeFailure(err).message}`;
+            }
+        }
+        if (state.running) console.log(`⏯️  Replay finished: ${state.done} done, ${state.failed} failed`);
+        state.running = false;
+        // A log that ends mid-drag would leave the button held
+        this.wss.releaseButtons(client);
+    }
+
+    stop() {
+        if (!this.state || !this.state.running) return false;
+        this.state.running = false;
+        this.wss.releaseButtons(this.client);
+        console.log('⏹️  Replay stopped');
+        return true;
+    }
+
+    getState() {
+        return this.state || { running: false, total: 0, skipped: 0, done: 0, failed: 0, lastError: null };
+    }
+}
+
+// QR codes for the controller URL, encoded here so the banner and monitor need no extra package.
+// Byte mode at error correction level M, versions 1-10 (up to 213 bytes) - plenty for a URL.
+const QR_VERSIONS = [
+    // [EC codewords per block, blocks in group 1, data codewords each, blocks in group 2, data codewords each]
+    null,
+    [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44]
+];
+
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+// Log/antilog tables for GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+})();
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function reedSolomon(data, degree) {
+    // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest term first
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, GF_EXP[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= gfMultiply(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// The value followed by its BCH check bits, for the format and version information
+function bchCode(value, generator) {
+    const size = generator.toString(2).length - 1;
+    let remainder = value << size;
+    while (remainder.toString(2).length > size) {
+        remainder ^= generator << (remainder.toString(2).length - size - 1);
+    }
+    return (value << size) | remainder;
+}
+
+function qrCodewords(bytes, version) {
+    const [ecPerBlock, blocks1, size1, blocks2, size2] = QR_VERSIONS[version];
+    const capacity = blocks1 * size1 + blocks2 * size2;
+
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    while (bits.length % 8) bits.push(0);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    // Split into blocks, add error correction, then interleave column by column
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blocks1 + blocks2; i++) {
+        const size = i < blocks1 ? size1 : size2;
+        const block = data.slice(offset, offset + size);
+        offset += size;
+        blocks.push({ data: block, ec: reedSolomon(block, ecPerBlock) });
+    }
+
+    const codewords = [];
+    for (let i = 0; i < Math.max(size1, size2); i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+    return codewords;
+}
+
+const QR_MASKS = [
+    (row, col) => (row + col) % 2 === 0,
+    (row) => row % 2 === 0,
+    (row, col) => col % 3 === 0,
+    (row, col) => (row + col) % 3 === 0,
+    (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+    (row, col) => ((row * col) % 2) + ((row * col) % 3) === 0,
+    (row, col) => (((row * col) % 2) + ((row * col) % 3)) % 2 === 0,
+    (row, col) => (((row + col) % 2) + ((row * col) % 3)) % 2 === 0
+];
+
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    // Runs of five or more same-coloured modules in a row or column
+    for (let i = 0; i < size; i++) {
+        for (const line of [modules[i], modules.map(row => row[i])]) {
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            // Patterns that look like a finder: 1011101 with four light modules on one side
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+        }
+    }
+
+    // 2x2 blocks of one colour
+    for (let row = 0; row < size - 1; row++) {
+        for (let col = 0; col < size - 1; col++) {
+            const color = modules[row][col];
+            if (modules[row][col + 1] === color && modules[row + 1][col] === color && modules[row + 1][col + 1] === color) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Overall balance of dark and light
+    const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    penalty += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return penalty;
+}
+
+// Returns the QR code as rows of booleans (true = dark module), without the quiet zone
+function encodeQR(text) {
+    const bytes = Array.from(Buffer.from(text, 'utf8'));
+    const version = QR_VERSIONS.findIndex((info, v) => {
+        if (!info) return false;
+        const capacity = info[1] * info[2] + info[3] * info[4];
+        return capacity * 8 >= 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    });
+    if (version === -1) {
+        throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (row, col, dark) => {
+        modules[row][col] = dark;
+        reserved[row][col] = true;
+    };
+
+    // Finder patterns with their light separators
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([top, left]) => {
+        for (let r = -1; r <= 7; r++) {
+            for (let c = -1; c <= 7; c++) {
+                const row = top + r, col = left + c;
+                if (row < 0 || col < 0 || row >= size || col >= size) continue;
+                const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                set(row, col, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, skipping the ones that would overlap a finder
+    const positions = QR_ALIGNMENT[version];
+    positions.forEach(row => positions.forEach(col => {
+        if (reserved[row][col]) return;
+        for (let r = -2; r <= 2; r++) {
+            for (let c = -2; c <= 2; c++) {
+                set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+            }
+        }
+    }));
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Reserve the format areas (filled in once the mask is chosen) and the dark module
+    for (let i = 0; i < 9; i++) {
+        reserved[8][i] = reserved[i][8] = true;
+        if (i < 8) reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(size - 8, 8, true);
+
+    if (version >= 7) {
+        const info = bchCode(version, 0x1f25);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((info >> i) & 1) === 1;
+            set(Math.floor(i / 3), size - 11 + (i % 3), dark);
+            set(size - 11 + (i % 3), Math.floor(i / 3), dark);
+        }
+    }
+
+    // Data goes up and down two-module columns from the bottom right, hopping over the timing column
+    const bits = [];
+    qrCodewords(bytes, version).forEach(byte => {
+        for (let i = 7; i >= 0; i--) bits.push((byte >> i) & 1);
+    });
+    let bitIndex = 0;
+    for (let right = size - 1, upward = true; right > 0; right -= 2, upward = !upward) {
+        if (right === 6) right = 5;
+        for (let step = 0; step < size; step++) {
+            const row = upward ? size - 1 - step : step;
+            for (const col of [right, right - 1]) {
+                if (reserved[row][col]) continue;
+                modules[row][col] = bits[bitIndex++] === 1;
+            }
+        }
+    }
+
+    const withFormat = mask => {
+        const masked = modules.map((line, row) => line.map((dark, col) => {
+            return reserved[row][col] ? dark : dark !== QR_MASKS[mask](row, col);
+        }));
+
+        // Level M is 00, so the format data is just the mask number
+        const format = bchCode(mask, 0x537) ^ 0x5412;
+        for (let i = 0; i < 15; i++) {
+            const dark = ((format >> i) & 1) === 1;
+            // Around the top-left finder
+            if (i < 6) masked[i][8] = dark;
+            else if (i < 8) masked[i + 1][8] = dark;
+            else if (i === 8) masked[8][7] = dark;
+            else masked[8][14 - i] = dark;
+            // Split between the other two finders
+            if (i < 8) masked[8][size - 1 - i] = dark;
+            else masked[size - 15 + i][8] = dark;
+        }
+        return masked;
+    };
+
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+        const candidate = withFormat(mask);
+        const penalty = qrPenalty(candidate);
+        if (!best || penalty < best.penalty) best = { modules: candidate, penalty };
+    }
+    return best.modules;
+}
+
+// Two rows per line with half blocks; light-on-dark terminals still scan fine thanks to the quiet zone
+function qrToTerminal(modules) {
+    const size = modules.length;
+    const quiet = 2;
+    const dark = (row, col) => row >= 0 && col >= 0 && row < size && col < size && modules[row][col];
+    const lines = [];
+
+    for (let row = -quiet; row < size + quiet; row += 2) {
+        let line = '';
+        for (let col = -quiet; col < size + quiet; col++) {
+            const top = dark(row, col), bottom = dark(row + 1, col);
+            // Printed inverted: spaces are dark on a typical black terminal background
+            line += top && bottom ? ' ' : top ? '▄' : bottom ? '▀' : '█';
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+function qrToSVG(modules, moduleSize = 8) {
+    const quiet = 4;
+    const size = (modules.length + quiet * 2) * moduleSize;
+    let path = '';
+    modules.forEach((line, row) => line.forEach((dark, col) => {
+        if (dark) path += `M${(col + quiet) * moduleSize} ${(row + quiet) * moduleSize}h${moduleSize}v${moduleSize}h-${moduleSize}z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>\n`;
+}
+
+// Self-signed certificate for TLS mode. openssl creates it once; it is reused while it still
+// names this machine's address and has at least a day left.
+async function loadCertificate(directory, hosts) {
+    const keyFile = path.join(directory, 'key.pem');
+    const certFile = path.join(directory, 'cert.pem');
+
+    try {
+        const cert = fs.readFileSync(certFile);
+        const x509 = new crypto.X509Certificate(cert);
+        const names = (x509.subjectAltName || '').split(', ').map(name => name.slice(name.indexOf(':') + 1));
+        const fresh = new Date(x509.validTo).getTime() > Date.now() + 24 * 60 * 60 * 1000;
+        if (fresh && hosts.every(host => names.includes(host))) {
+            return { key: fs.readFileSync(keyFile), cert };
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Ignoring unusable certificate:', err.message);
+    }
+
+    const altNames = hosts.map(host => (net.isIP(host) ? `IP:${host}` : `DNS:${host}`)).join(',');
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    try {
+        await run('openssl', [
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '825',
+            '-subj', '/CN=ClassroomControl',
+            '-addext', `subjectAltName=${altNames}`,
+            '-keyout', keyFile, '-out', certFile
+        ], { timeout: 60000 });
+    } catch (err) {
+        throw new Error(`could not create a certificate with openssl (${err.code === 'ENOENT' ? 'openssl not installed' : err.message.trim()}). ` +
+            `Install openssl or put key.pem and cert.pem in ${directory}`);
+    }
+    fs.chmodSync(keyFile, 0o600);
+    console.log(`🔐 Created a self-signed certificate in ${directory}`);
+
+    return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile) };
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function readJSONBody(req, callback) {
+    const limit = 16 * 1024;
+    let body = '';
+
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > limit) {
+            callback(new Error('Request body too large'));
+            req.destroy();
+        }
+    });
+
+    req.on('end', () => {
+        try {
+            callback(null, body ? JSON.parse(body) : {});
+        } catch (err) {
+            callback(new Error('Invalid JSON'));
+        }
+    });
+}
+
+// Device behind an HTTP API request: the configured API token or a paired device's token.
+// Loopback alone is not enough here - any web page open on this computer could POST to us.
+function getApiDevice(req) {
+    const token = getRequestToken(req);
+    if (typeof token !== 'string') return null;
+    if (config.apiToken) {
+        const expected = Buffer.from(config.apiToken);
+        const given = Buffer.from(token);
+        if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return API_DEVICE;
+    }
+    return pairing.verify(token);
+}
+
+// HTTP status for each command error code; anything else is the computer's fault
+const COMMAND_HTTP_STATUS = {
+    invalid_message: 400,
+    invalid_request: 400,
+    unknown_command: 400,
+    unknown_macro: 400,
+    unknown_profile: 400,
+    forbidden: 403,
+    not_whitelisted: 403,
+    not_your_turn: 403,
+    command_disabled: 403,
+    unknown_client: 404,
+    unknown_file: 404,
+    no_poll: 409,
+    poll_locked: 409,
+    already_voted: 409,
+    too_large: 413,
+    unsupported_type: 415,
+    rate_limited: 429
+};
+
+// Audit log filters from a query string or JSON body; times are ISO strings or epoch milliseconds
+function parseAuditFilter(get) {
+    const time = (name) => {
+        const value = get(name);
+        if (value === null || value === undefined || value === '') return undefined;
+        const text = String(value);
+        const ms = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+        if (!Number.isFinite(ms)) throw new Error(`${name} must be a date/time or epoch milliseconds`);
+        return ms;
+    };
+    const text = (name) => {
+        const value = get(name);
+        return typeof value === 'string' && value !== '' ? value.slice(0, 64) : undefined;
+    };
+    return { from: time('from'), to: time('to'), client: text('client'), command: text('command') };
+}
+
+// The monitor and device management are for the teacher's own machine unless opened up explicitly,
+// and then only to teacher devices - the monitor shows both PINs
+function canMonitor(req) {
+    if (isTrustedLocal(req)) return true;
+    const device = allowRemoteMonitor && pairing.verify(getRequestToken(req));
+    return Boolean(device) && device.role === 'teacher';
+}
+
+// Pairing, monitoring and device management API
+function handleApiRequest(req, res, pathname) {
+    const local = isTrustedLocal(req);
+
+    if (pathname === '/api/pair' && req.method === 'POST') {
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message });
+
+            const result = pairing.pair(body.pin, body.name, req.socket.remoteAddress);
+            if (result.retryAfter) {
+                res.setHeader('Retry-After', result.retryAfter);
+                return sendJSON(res, 429, { error: result.error, retryAfter: result.retryAfter });
+            }
+            if (result.error) return sendJSON(res, 401, { error: result.error });
+
+            sendJSON(res, 200, { token: result.token, deviceId: result.device.id, role: result.device.role });
+            statusFeed.scheduleStatus();
+        });
+        return;
+    }
+
+    if (pathname === '/api/session' && req.method === 'GET') {
+        const device = local ? LOCAL_DEVICE : pairing.verify(getRequestToken(req));
+        if (!device) return sendJSON(res, 401, { error: 'Not paired' });
+
+        sendJSON(res, 200, { deviceId: device.id, name: device.name, role: device.role });
+        return;
+    }
+
+    // Same commands as the WebSocket, for Stream Deck buttons, foot pedals and scheduled jobs
+    if (pathname === '/api/command' && req.method === 'POST') {
+        const device = getApiDevice(req);
+        if (!device) return sendJSON(res, 401, { error: 'Send a paired device token or the API token as a Bearer token' });
+
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message, code: 'invalid_message' });
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return sendJSON(res, 400, { error: 'Send one command object, e.g. {"type": "next_slide"}', code: 'invalid_message' });
+            }
+
+            const client = wss.httpClient(device, req.socket.remoteAddress);
+            wss.execute(client, body).then(value => {
+                const reply = { ok: true, command: body.type };
+                if (value === COALESCED) reply.coalesced = true;
+                else if (value && typeof value === 'object') reply.result = value;
+                sendJSON(res, 200, reply);
+            }, err => {
+                const failure = describeFailure(err);
+                sendJSON(res, COMMAND_HTTP_STATUS[failure.code] || 500, { ok: false, command: body.type, code: failure.code, error: failure.message });
+            });
+        });
+        return;
+    }
+
+    // Lesson files from the teacher's phone, optionally opened on the projector right away
+    // (multipart field or query parameter open=1)
+    if (pathname === '/api/uploads' && req.method === 'POST') {
+        const device = getApiDevice(req);
+        if (!device) return sendJSON(res, 401, { error: 'Send a paired device token or the API token as a Bearer token' });
+        if (device.role !== 'teacher') return sendJSON(res, 403, { error: 'Only a teacher can upload files' });
+
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        uploads.receive(req).then(({ file, fields }) => {
+            const open = [fields.open, query.get('open')].some(value => value === '1' || value === 'true');
+            if (!open) return sendJSON(res, 201, { ok: true, file });
+
+            const client = wss.httpClient(device, req.socket.remoteAddress);
+            wss.execute(client, { type: 'open_upload', file: file.name }).then(() => {
+                sendJSON(res, 201, { ok: true, file, opened: true });
+            }, err => {
+                sendJSON(res, 201, { ok: true, file, opened: false, error: describeFailure(err).message });
+            });
+        }, err => {
+            // Stop reading whatever is left of a refused upload
+            const failure = describeFailure(err);
+            res.setHeader('Connection', 'close');
+            sendJSON(res, COMMAND_HTTP_STATUS[failure.code] || 500, { ok: false, code: failure.code, error: failure.message });
+            res.on('finish', () => req.destroy());
+        });
+        return;
+    }
+
+    // Students join polls without pairing; what they get back only works on the /poll socket
+    if (pathname === '/api/poll/join' && req.method === 'POST') {
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message });
+            try {
+                const { token, device } = wss.polls.join(body.name, req.socket.remoteAddress);
+                sendJSON(res, 200, { token, name: device.name });
+            } catch (err) {
+                const failure = describeFailure(err);
+                sendJSON(res, COMMAND_HTTP_STATUS[failure.code] || 500, { error: failure.message });
             }
-            
-            const ps = `Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait("${modPrefix}${winKey}")`;
-            exec(`powershell -Command "${ps}"`, (err) => {
-                if (err) console.error('Key press error:', err.message);
-            });
-        } else if (this.platform === 'linux') {
-            // Linux
-            let cmd = 'xdotool key ';
-            if (modifier) cmd += `${modifier}+`;
-            cmd += key;
-            exec(cmd, (err) => {
-                if (err) console.error('Key press error:', err.message);
-            });
-        }
+        });
+        return;
     }
 
-    // Presentation shortcuts
-    nextSlide() { this.pressKey('right'); }
-    previousSlide() { this.pressKey('left'); }
-    playPause() { this.pressKey('space'); }
-    
-    volumeUp() {
-        console.log('🔊 Volume up');
-        if (this.platform === 'darwin') {
-            exec('osascript -e "set volume output volume (output volume of (get volume settings) + 10)"');
-        } else if (this.platform === 'win32') {
-            const ps = `(New-Object -ComObject WScript.Shell).SendKeys([char]175)`;
-            exec(`powershell -Command "${ps}"`);
-        } else {
-            exec('amixer -D pulse sset Master 5%+');
-        }
+    if (pathname === '/api/poll/export.csv' && req.method === 'GET') {
+        const device = isTrustedLocal(req) ? LOCAL_DEVICE : getApiDevice(req);
+        if (!device || device.role !== 'teacher') return sendJSON(res, 403, { error: 'Forbidden' });
+
+        const pollId = parseInt(new URL(req.url, 'http://localhost').searchParams.get('poll')) || null;
+        const csv = wss.polls.toCSV(pollId);
+        if (csv === null) return sendJSON(res, 404, { error: 'No such poll' });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="classroom-poll-${pollId || wss.polls.current.id}.csv"`
+        });
+        // The byte order mark makes Excel read the names as UTF-8
+        res.end('\ufeff' + csv);
+        return;
     }
-    
-    volumeDown() {
-        console.log('🔉 Volume down');
-        if (this.platform === 'darwin') {
-            exec('osascript -e "set volume output volume (output volume of (get volume settings) - 10)"');
-        } else if (this.platform === 'win32') {
-            const ps = `(New-Object -ComObject WScript.Shell).SendKeys([char]174)`;
-            exec(`powershell -Command "${ps}"`);
-        } else {
-            exec('amixer -D pulse sset Master 5%-');
-        }
+
+    // Status is for the monitor or a teacher-level token; it lists devices and addresses
+    if (pathname === '/api/status' && req.method === 'GET') {
+        const device = isTrustedLocal(req) ? LOCAL_DEVICE : getApiDevice(req);
+        if (!device || device.role !== 'teacher') return sendJSON(res, 403, { error: 'Forbidden' });
+
+        sendJSON(res, 200, statusFeed.getStatus());
+        return;
     }
-    
-    toggleFullscreen() {
-        console.log('⛶ Toggle fullscreen');
-        if (this.platform === 'darwin') {
-            this.pressKey('f', ['control', 'command']);
-        } else {
-            this.pressKey('f11');
-        }
+
+    if (!canMonitor(req)) {
+        sendJSON(res, 403, { error: 'Forbidden' });
+        return;
     }
-}
 
-// WebSocket server implementation
-class WebSocketServer {
-    constructor(server) {
-        this.clients = new Set();
-        this.controller = new ScreenController();
-        
-        server.on('upgrade', (request, socket, head) => {
-            if (request.headers['upgrade'] !== 'websocket') {
-                socket.end('HTTP/1.1 400 Bad Request');
-                return;
-            }
+    if (pathname === '/api/connect' && req.method === 'GET') {
+        sendJSON(res, 200, { url: controllerUrl, joinUrl: joinUrl, secure: useTLS });
+    } else if (pathname === '/api/qr.svg' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-cache' });
+        const page = new URL(req.url, 'http://localhost').searchParams.get('page');
+        res.end(qrToSVG(encodeQR(page === 'join' ? joinUrl : controllerUrl)));
+    } else if (pathname === '/api/events' && req.method === 'GET') {
+        statusFeed.subscribe(req, res);
+    } else if (pathname === '/api/overlay/events' && req.method === 'GET') {
+        overlayFeed.subscribe(req, res);
+    } else if (pathname === '/api/annotations.svg' && req.method === 'GET') {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const width = clamp(Number(query.get('width')) || controller.screenWidth, 1, 10000);
+        const height = clamp(Number(query.get('height')) || controller.screenHeight, 1, 10000);
+        res.writeHead(200, {
+            'Content-Type': 'image/svg+xml',
+            'Content-Disposition': 'inline; filename="annotations.svg"'
+        });
+        res.end(wss.annotations.toSVG(width, height));
+    } else if (pathname === '/api/clients/kick' && req.method === 'POST') {
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message });
+            if (!wss.kick(body.id)) return sendJSON(res, 404, { error: 'Unknown client' });
 
-            const key = request.headers['sec-websocket-key'];
-            const acceptKey = this.generateAcceptKey(key);
-            
-            const headers = [
-                'HTTP/1.1 101 Switching Protocols',
-                'Upgrade: websocket',
-                'Connection: Upgrade',
-                `Sec-WebSocket-Accept: ${acceptKey}`,
-                '',
-                ''
-            ].join('\r\n');
-            
-            socket.write(headers);
-            
-            const client = {
-                socket: socket,
-                id: Math.random().toString(36).substr(2, 9)
-            };
-            
-            this.clients.add(client);
-            console.log(`✅ Client connected: ${client.id} (Total: ${this.clients.size})`);
-            
-            // Send initial screen info
-            this.send(client, {
-                type: 'init',
-                screenWidth: this.controller.screenWidth,
-                screenHeight: this.controller.screenHeight,
-                platform: this.controller.platform
-            });
-            
-            socket.on('data', (buffer) => {
-                const messages = this.decodeFrame(buffer);
-                messages.forEach(message => {
-                    if (message) this.handleMessage(client, message);
-                });
-            });
-            
-            socket.on('close', () => {
-                this.clients.delete(client);
-                console.log(`❌ Client disconnected: ${client.id} (Total: ${this.clients.size})`);
-            });
-            
-            socket.on('error', (err) => {
-                console.error('Socket error:', err.message);
-                this.clients.delete(client);
+            sendJSON(res, 200, { kicked: body.id });
+        });
+    } else if (pathname === '/api/audit' && req.method === 'GET') {
+        // The newest `limit` matching entries, oldest first
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        let filter;
+        try {
+            filter = parseAuditFilter(name => params.get(name));
+        } catch (err) {
+            return sendJSON(res, 400, { error: err.message });
+        }
+        const limit = clamp(Math.round(Number(params.get('limit')) || 200), 1, 5000);
+        const entries = [];
+        let matched = 0;
+        auditLog.query(filter, entry => {
+            matched++;
+            entries.push(entry);
+            if (entries.length > limit) entries.shift();
+        }).then(() => sendJSON(res, 200, { entries, matched }), err => sendJSON(res, 500, { error: err.message }));
+    } else if (pathname === '/api/audit/export' && req.method === 'GET') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        let filter;
+        try {
+            filter = parseAuditFilter(name => params.get(name));
+        } catch (err) {
+            return sendJSON(res, 400, { error: err.message });
+        }
+        res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="classroom-audit-${new Date().toISOString().slice(0, 10)}.jsonl"`
+        });
+        auditLog.query(filter, async (entry, line) => {
+            if (res.destroyed) return;
+            if (res.write(line + '\n')) return;
+            // A download closed mid-way never drains, so stop waiting once it's gone
+            await new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
             });
+        }).then(() => res.end(), err => res.destroy(err));
+    } else if (pathname === '/api/audit/replay' && req.method === 'GET') {
+        sendJSON(res, 200, replay.getState());
+    } else if (pathname === '/api/audit/replay' && req.method === 'POST') {
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message });
+            if (replay.getState().running) return sendJSON(res, 409, { error: 'A replay is already running' });
+
+            let filter;
+            try {
+                filter = parseAuditFilter(name => body[name]);
+            } catch (err) {
+                return sendJSON(res, 400, { error: err.message });
+            }
+            if (filter.from === undefined) return sendJSON(res, 400, { error: 'Pick where the replay starts (from)' });
+            const speed = clamp(Number(body.speed) || 1, 0.25, 10);
+
+            const entries = [];
+            auditLog.query(filter, entry => {
+                if (entries.length < 20000) entries.push(entry);
+            }).then(() => {
+                if (replay.getState().running) return sendJSON(res, 409, { error: 'A replay is already running' });
+                sendJSON(res, 200, replay.start(entries, speed));
+            }, err => sendJSON(res, 500, { error: err.message }));
         });
+    } else if (pathname === '/api/audit/replay/stop' && req.method === 'POST') {
+        if (!replay.stop()) return sendJSON(res, 409, { error: 'No replay is running' });
+        sendJSON(res, 200, replay.getState());
+    } else if (pathname === '/api/recording' && req.method === 'GET') {
+        // Lets headless test runs assert which actions each message produced
+        if (!(controller.backend instanceof RecordingBackend)) {
+            return sendJSON(res, 404, { error: 'Recording backend not active' });
+        }
+        sendJSON(res, 200, { actions: controller.backend.actions });
+    } else if (pathname === '/api/devices' && req.method === 'GET') {
+        sendJSON(res, 200, {
+            devices: pairing.list(),
+            pin: pairing.pin,
+            studentPin: pairing.studentPin,
+            persistent: pairing.persistent
+        });
+    } else if (pathname === '/api/devices/revoke' && req.method === 'POST') {
+        readJSONBody(req, (err, body) => {
+            if (err) return sendJSON(res, 400, { error: err.message });
+            if (!pairing.revoke(body.id)) return sendJSON(res, 404, { error: 'Unknown device' });
+
+            wss.disconnectDevice(body.id);
+            sendJSON(res, 200, { revoked: body.id });
+            statusFeed.scheduleStatus();
+        });
+    } else {
+        sendJSON(res, 404, { error: 'Not found' });
     }
-    
-    generateAcceptKey(key) {
-        const crypto = require('crypto');
-        const magicString = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
-        return crypto
-            .createHash('sha1')
-            .update(key + magicString)
-            .digest('base64');
-    }
-    
-    decodeFrame(buffer) {
-        const messages = [];
-        let offset = 0;
-        
-        while (offset < buffer.length) {
-            if (buffer.length - offset < 2) break;
-            
-            const firstByte = buffer[offset];
-            const secondByte = buffer[offset + 1];
-            
-            const opcode = firstByte & 0x0F;
-            
-            if (opcode === 0x08) break; // Close frame
-            if (opcode !== 0x01 && opcode !== 0x02) { offset++; continue; }
-            
-            const isMasked = Boolean(secondByte & 0x80);
-            let payloadLength = secondByte & 0x7F;
-            offset += 2;
-            
-            if (payloadLength === 126) {
-                if (buffer.length - offset < 2) break;
-                payloadLength = buffer.readUInt16BE(offset);
-                offset += 2;
-            } else if (payloadLength === 127) {
-                if (buffer.length - offset < 8) break;
-                payloadLength = buffer.readUInt32BE(offset + 4);
-                offset += 8;
+}
+
+// Settings, layered: built-in defaults < config file < CLASSROOM_* environment variables < CLI flags.
+// Each entry names its env variable and flag so --help and --print-config stay in sync with parsing.
+const CONFIG_OPTIONS = {
+    port: { type: 'integer', default: 8080, min: 1, max: 65535, env: 'CLASSROOM_PORT', flag: '--port',
+        help: 'Port for the pages and WebSocket' },
+    host: { type: 'ip', default: '0.0.0.0', env: 'CLASSROOM_HOST', flag: '--host',
+        help: 'Address to listen on (0.0.0.0 = every interface)' },
+    interface: { type: 'string', default: null, env: 'CLASSROOM_INTERFACE', flag: '--interface',
+        help: 'Interface name, address or prefix used for the phone URL, e.g. wlan0 or 192.168.' },
+    tls: { type: 'boolean', default: false, env: 'CLASSROOM_TLS', flag: '--tls',
+        help: 'Serve HTTPS/WSS with a self-signed certificate' },
+    backend: { type: 'string', default: null, choices: ['xdotool', 'macos', 'powershell', 'recording'],
+        env: 'CLASSROOM_BACKEND', flag: '--backend', help: 'Input backend (default depends on the OS)' },
+    secret: { type: 'string', default: null, secret: true, env: 'CLASSROOM_SECRET', flag: '--secret',
+        help: 'Signing secret that keeps paired phones across restarts' },
+    apiToken: { type: 'string', default: null, secret: true, minLength: 16, env: 'CLASSROOM_API_TOKEN', flag: '--api-token',
+        help: 'Bearer token for POST /api/command and GET /api/status from scripts' },
+    monitorRemote: { type: 'boolean', default: false, env: 'CLASSROOM_MONITOR_REMOTE', flag: '--monitor-remote',
+        help: 'Let paired devices open the desktop monitor' },
+    profiles: { type: 'string', default: path.join(__dirname, 'profiles.json'), env: 'CLASSROOM_PROFILES', flag: '--profiles',
+        help: 'Macro profiles file' },
+    launchers: { type: 'string', default: path.join(__dirname, 'launchers.json'), env: 'CLASSROOM_LAUNCHERS', flag: '--launchers',
+        help: 'Apps, web pages and lesson files phones may open' },
+    commands: { type: 'list', default: MESSAGE_TYPES, choices: MESSAGE_TYPES, env: 'CLASSROOM_COMMANDS', flag: '--commands',
+        help: 'Comma-separated message types phones may send (default: all)' },
+    pointerSensitivity: { type: 'number', default: 1.5, min: 0.1, max: 10, env: 'CLASSROOM_POINTER_SENSITIVITY',
+        flag: '--pointer-sensitivity', help: 'Trackpad gain' },
+    pointerAcceleration: { type: 'number', default: 0.8, min: 0, max: 5, env: 'CLASSROOM_POINTER_ACCELERATION',
+        flag: '--pointer-acceleration', help: 'Extra distance for fast swipes' },
+    scrollStep: { type: 'number', default: 1, min: 0.1, max: 20, env: 'CLASSROOM_SCROLL_STEP', flag: '--scroll-step',
+        help: 'Multiplier for scroll amounts' },
+    volumeStep: { type: 'integer', default: 5, min: 1, max: 50, env: 'CLASSROOM_VOLUME_STEP', flag: '--volume-step',
+        help: 'Volume change per press, in percent' },
+    brightnessStep: { type: 'integer', default: 10, min: 1, max: 50, env: 'CLASSROOM_BRIGHTNESS_STEP', flag: '--brightness-step',
+        help: 'Brightness change per press, in percent' },
+    previewFps: { type: 'number', default: 4, min: 0.5, max: 15, env: 'CLASSROOM_PREVIEW_FPS', flag: '--preview-fps',
+        help: 'Highest live preview frame rate' },
+    previewWidth: { type: 'integer', default: 960, min: 160, max: 3840, env: 'CLASSROOM_PREVIEW_WIDTH', flag: '--preview-width',
+        help: 'Widest live preview frame, in pixels' },
+    audit: { type: 'boolean', default: true, env: 'CLASSROOM_AUDIT', flag: '--audit',
+        help: 'Keep a JSONL log of every command in ~/.classroom-control/audit' },
+    auditText: { type: 'boolean', default: false, env: 'CLASSROOM_AUDIT_TEXT', flag: '--audit-text',
+        help: 'Keep typed and clipboard text in the audit log (otherwise only its length)' },
+    auditMaxSize: { type: 'integer', default: 5, min: 1, max: 1024, env: 'CLASSROOM_AUDIT_MAX_SIZE', flag: '--audit-max-size',
+        help: 'Audit log size in MB before it rotates (10 files are kept)' },
+    rateLimit: { type: 'integer', default: 200, min: 10, max: 10000, env: 'CLASSROOM_RATE_LIMIT', flag: '--rate-limit',
+        help: 'Messages per second one phone may send' },
+    maxTextLength: { type: 'integer', default: 500, min: 1, max: 100000, env: 'CLASSROOM_MAX_TEXT', flag: '--max-text',
+        help: 'Longest text a phone may type in one go' },
+    maxClipboardLength: { type: 'integer', default: 20000, min: 1, max: 500000, env: 'CLASSROOM_MAX_CLIPBOARD', flag: '--max-clipboard',
+        help: 'Longest text copied to or from the clipboard' },
+    uploadDir: { type: 'string', default: path.join(os.homedir(), 'Documents', 'Classroom Uploads'), env: 'CLASSROOM_UPLOAD_DIR',
+        flag: '--upload-dir', help: 'Folder that files uploaded from phones are saved in' },
+    maxUploadSize: { type: 'integer', default: 100, min: 1, max: 4096, env: 'CLASSROOM_MAX_UPLOAD_SIZE', flag: '--max-upload-size',
+        help: 'Largest upload in MB' },
+    uploadTypes: { type: 'list', default: UPLOAD_TYPES, env: 'CLASSROOM_UPLOAD_TYPES', flag: '--upload-types',
+        help: 'File extensions phones may upload' }
+};
+
+class ConfigError extends Error {}
+
+// Turn a raw value from any layer into the option's type, or explain why it can't be
+function parseOption(name, raw) {
+    const option = CONFIG_OPTIONS[name];
+    const fromText = typeof raw === 'string';
+
+    switch (option.type) {
+        case 'integer':
+        case 'number': {
+            const value = fromText ? Number(raw.trim()) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value) || (fromText && raw.trim() === '')) {
+                throw new Error('must be a number');
             }
-            
-            if (!isMasked) break;
-            
-            if (buffer.length - offset < 4 + payloadLength) break;
-            
-            const maskingKey = buffer.slice(offset, offset + 4);
-            offset += 4;
-            
-            const payload = Buffer.alloc(payloadLength);
-            for (let i = 0; i < payloadLength; i++) {
-                payload[i] = buffer[offset + i] ^ maskingKey[i % 4];
+            if (option.type === 'integer' && !Number.isInteger(value)) throw new Error('must be a whole number');
+            if (value < option.min || value > option.max) throw new Error(`must be between ${option.min} and ${option.max}`);
+            return value;
+        }
+        case 'boolean':
+            if (typeof raw === 'boolean') return raw;
+            if (fromText && ['1', 'true', 'yes', 'on'].includes(raw.toLowerCase())) return true;
+            if (fromText && ['0', 'false', 'no', 'off', ''].includes(raw.toLowerCase())) return false;
+            throw new Error('must be true or false');
+        case 'ip':
+            if (!fromText || !net.isIP(raw)) throw new Error('must be an IP address such as 0.0.0.0 or 127.0.0.1');
+            return raw;
+        case 'list': {
+            const items = fromText ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                throw new Error('must be a list of names');
             }
-            offset += payloadLength;
-            
-            messages.push(payload.toString('utf8'));
+            if (items.length === 1 && items[0] === 'all') return option.default;
+            if (!option.choices) return items;
+            const unknown = items.filter(item => !option.choices.includes(item));
+            if (unknown.length > 0) throw new Error(`unknown: ${unknown.join(', ')} (choose from: ${option.choices.join(', ')})`);
+            return items;
         }
-        
-        return messages;
+        default:
+            if (raw === null) return null;
+            if (!fromText || raw === '') throw new Error('must be a non-empty string');
+            if (option.choices && !option.choices.includes(raw)) throw new Error(`must be one of: ${option.choices.join(', ')}`);
+            if (option.minLength && raw.length < option.minLength) throw new Error(`must be at least ${option.minLength} characters`);
+            return raw;
     }
-    
-    encodeFrame(message) {
-        const payload = Buffer.from(message);
-        const payloadLength = payload.length;
-        
-        let frame;
-        if (payloadLength <= 125) {
-            frame = Buffer.alloc(2 + payloadLength);
-            frame[0] = 0x81;
-            frame[1] = payloadLength;
-            payload.copy(frame, 2);
-        } else if (payloadLength <= 65535) {
-            frame = Buffer.alloc(4 + payloadLength);
-            frame[0] = 0x81;
-            frame[1] = 126;
-            frame.writeUInt16BE(payloadLength, 2);
-            payload.copy(frame, 4);
+}
+
+function parseArgs(argv) {
+    const flags = {};
+    const values = {};
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => { flags[option.flag] = name; });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+
+        if (flag === '--print-config' || flag === '--help') {
+            values[flag] = true;
+        } else if (flag === '--config') {
+            values.configFile = inline !== undefined ? inline : argv[++i];
+            if (!values.configFile) throw new ConfigError('--config needs a file path');
+        } else if (flag.startsWith('--no-') && CONFIG_OPTIONS[flags[`--${flag.slice(5)}`]]?.type === 'boolean') {
+            values[flags[`--${flag.slice(5)}`]] = { raw: false, source: flag };
+        } else if (flags[flag]) {
+            const name = flags[flag];
+            if (CONFIG_OPTIONS[name].type === 'boolean' && inline === undefined) {
+                values[name] = { raw: true, source: flag };
+                continue;
+            }
+            const raw = inline !== undefined ? inline : argv[++i];
+            if (raw === undefined) throw new ConfigError(`${flag} needs a value`);
+            values[name] = { raw, source: flag };
         } else {
-            frame = Buffer.alloc(10 + payloadLength);
-            frame[0] = 0x81;
-            frame[1] = 127;
-            frame.writeUInt32BE(0, 2);
-            frame.writeUInt32BE(payloadLength, 6);
-            payload.copy(frame, 10);
+            throw new ConfigError(`Unknown option: ${arg} (see --help)`);
         }
-        
-        return frame;
     }
-    
-    handleMessage(client, message) {
+    return values;
+}
+
+function loadConfig(argv, env) {
+    const args = parseArgs(argv);
+    const config = {};
+    const sources = {};
+    const errors = [];
+
+    const apply = (name, raw, source) => {
         try {
-            const data = JSON.parse(message);
-            
-            switch(data.type) {
-                case 'mouse_move':
-                    this.controller.moveMouse(data.x, data.y);
-                    break;
-                    
-                case 'mouse_click':
-                    this.controller.click(data.button);
-                    break;
-                    
-                case 'scroll':
-                    this.controller.scroll(data.direction, data.amount);
-                    break;
-                    
-                case 'key_press':
-                    this.controller.pressKey(data.key, data.modifier);
-                    break;
-                    
-                case 'type_text':
-                    this.controller.typeText(data.text);
-                    break;
-                    
-                case 'next_slide':
-                    this.controller.nextSlide();
-                    break;
-                    
-                case 'prev_slide':
-                    this.controller.previousSlide();
-                    break;
-                    
-                case 'play_pause':
-                    this.controller.playPause();
-                    break;
-                    
-                case 'volume_up':
-                    this.controller.volumeUp();
-                    break;
-                    
-                case 'volume_down':
-                    this.controller.volumeDown();
-                    break;
-                    
-                case 'toggle_fullscreen':
-                    this.controller.toggleFullscreen();
-                    break;
-                    
-                default:
-                    console.log('Unknown command:', data.type);
-            }
+            config[name] = parseOption(name, raw);
+            sources[name] = source;
         } catch (err) {
-            console.error('Error parsing message:', err.message);
+            errors.push(`${name} (from ${source}): ${err.message}`);
         }
-    }
-    
-    send(client, data) {
-        const message = typeof data === 'string' ? data : JSON.stringify(data);
-        const frame = this.encodeFrame(message);
-        
-        if (client.socket.writable) {
-            try {
-                client.socket.write(frame);
-            } catch (err) {
-                console.error('Error sending message:', err.message);
+    };
+
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+        config[name] = option.default;
+        sources[name] = 'default';
+    });
+
+    // The default file is optional; one asked for explicitly has to exist
+    const explicitFile = args.configFile || env.CLASSROOM_CONFIG;
+    const file = explicitFile || path.join(os.homedir(), '.classroom-control', 'config.json');
+    let fileLoaded = false;
+    try {
+        const settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new ConfigError(`${file}: must contain a JSON object`);
+        }
+        Object.entries(settings).forEach(([name, raw]) => {
+            if (!CONFIG_OPTIONS[name]) {
+                errors.push(`${name} (from ${file}): unknown setting (valid: ${Object.keys(CONFIG_OPTIONS).join(', ')})`);
+                return;
             }
+            apply(name, raw, file);
+        });
+        fileLoaded = true;
+    } catch (err) {
+        if (err instanceof ConfigError) throw err;
+        if (err.code !== 'ENOENT' || explicitFile) {
+            throw new ConfigError(`Cannot read config file ${file}: ${err.message}`);
         }
     }
+
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+        if (env[option.env] !== undefined) apply(name, env[option.env], option.env);
+    });
+    Object.entries(args).forEach(([name, value]) => {
+        if (CONFIG_OPTIONS[name]) apply(name, value.raw, value.source);
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return {
+        config,
+        sources,
+        file: fileLoaded ? file : null,
+        printConfig: Boolean(args['--print-config']),
+        help: Boolean(args['--help'])
+    };
 }
 
-// HTTP server
-const server = http.createServer((req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
+function printConfigHelp() {
+    console.log('Usage: node server.js [options]\n');
+    console.log('  --config <file>                 Settings file (default ~/.classroom-control/config.json, or CLASSROOM_CONFIG)');
+    console.log('  --print-config                  Show the effective settings and where each came from, then exit');
+    Object.values(CONFIG_OPTIONS).forEach(option => {
+        const flag = option.type === 'boolean' ? option.flag : `${option.flag} <value>`;
+        console.log(`  ${flag.padEnd(32)}${option.help} [${option.env}]`);
+    });
+}
+
+function printEffectiveConfig({ config, sources, file }, localIP) {
+    console.log(`Config file: ${file || 'none'}\n`);
+    Object.keys(CONFIG_OPTIONS).forEach(name => {
+        let value = config[name];
+        if (CONFIG_OPTIONS[name].secret && value) value = '********';
+        else if (name === 'commands') value = value === MESSAGE_TYPES ? 'all' : value.join(',');
+        console.log(`  ${name.padEnd(21)}${String(value).padEnd(24)}  ${sources[name]}`);
+    });
+    console.log(`\nPhone URL address: ${localIP}`);
+    console.log('Interfaces:');
+    listInterfaces().forEach(({ name, address }) => console.log(`  ${name.padEnd(21)}${address}`));
+}
+
+// Adapters that are rarely the classroom Wi-Fi: containers, VMs and VPNs
+const VIRTUAL_INTERFACE = /^(docker|br-|veth|virbr|vmnet|vboxnet|utun|tun|tap|wg|zt|tailscale|lxc|lxd)|vEthernet|VirtualBox|VMware|Hyper-V/i;
+
+function listInterfaces() {
+    const result = [];
+    Object.entries(os.networkInterfaces()).forEach(([name, addresses]) => {
+        addresses.forEach(iface => {
+            if (iface.family === 'IPv4' && !iface.internal) result.push({ name, address: iface.address });
+        });
+    });
+    return result;
+}
+
+// Address for the phone URL: the configured interface, else the first one that doesn't look virtual
+function getLocalIP(preference) {
+    const candidates = listInterfaces();
+    if (preference) {
+        const match = candidates.find(({ name, address }) => {
+            return name === preference || address === preference || address.startsWith(preference);
+        });
+        if (!match) {
+            const available = candidates.map(({ name, address }) => `${name} ${address}`).join(', ') || 'none';
+            throw new ConfigError(`interface: nothing matches "${preference}" (available: ${available})`);
+        }
+        return match.address;
+    }
+
+    const physical = candidates.find(({ name }) => !VIRTUAL_INTERFACE.test(name));
+    return (physical || candidates[0] || { address: 'localhost' }).address;
+}
+
+// Settings are read before anything starts, so a bad value stops the server with a clear message
+function loadStartupConfig() {
+    try {
+        const settings = loadConfig(process.argv.slice(2), process.env);
+        return { ...settings, localIP: getLocalIP(settings.config.interface) };
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+}
+
+// Built by main(); the HTTP handlers above read them once the server is running
+let config, pairing, allowRemoteMonitor, useTLS, controller, uploads, wss;
+let statusFeed, auditLog, replay, overlayFeed, localIP, controllerUrl, joinUrl;
+
+function main() {
+    const settings = loadStartupConfig();
+    config = settings.config;
+
+    if (settings.help) {
+        printConfigHelp();
+        process.exit(0);
+    }
+    if (settings.printConfig) {
+        printEffectiveConfig(settings, settings.localIP);
+        process.exit(0);
     }
+
+    // Pairing state (set a secret so paired phones survive a restart)
+    pairing = new PairingManager({
+        secret: config.secret,
+        devicesFile: path.join(os.homedir(), '.classroom-control', 'devices.json')
+    });
+
+    // monitorRemote lets paired devices open the desktop monitor too
+    allowRemoteMonitor = config.monitorRemote;
+
+    // tls serves everything over HTTPS/WSS with a self-signed certificate
+    useTLS = config.tls;
+    const scheme = useTLS ? 'https' : 'http';
+
+    // HTTP server (the certificate is attached before listening)
+    const server = (useTLS ? https : http).createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        // Only the command API is for other origins (Stream Deck plugins, dashboards); it needs a token
+        if (pathname === '/api/command') {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        }
     
-    let filePath = '';
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200);
+            res.end();
+            return;
+        }
     
-    if (req.url === '/' || req.url === '/controller') {
-        filePath = path.join(__dirname, 'controller.html');
-    } else {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('404 Not Found');
-        return;
-    }
+        if (pathname.startsWith('/api/')) {
+            handleApiRequest(req, res, pathname);
+            return;
+        }
     
-    fs.readFile(filePath, (err, data) => {
-        if (err) {
-            res.writeHead(500, { 'Content-Type': 'text/plain' });
-            res.end('Error loading page');
+        let filePath = '';
+    
+        if (pathname === '/' || pathname === '/controller') {
+            filePath = path.join(__dirname, 'controller.html');
+        } else if (pathname === '/join') {
+            filePath = path.join(__dirname, 'join.html');
+        } else if (pathname === '/desktop') {
+            if (!canMonitor(req)) {
+                res.writeHead(403, { 'Content-Type': 'text/plain' });
+                res.end('403 Forbidden - open the monitor on the classroom computer');
+                return;
+            }
+            filePath = path.join(__dirname, 'desktop.html');
+        } else if (pathname === '/overlay') {
+            if (!canMonitor(req)) {
+                res.writeHead(403, { 'Content-Type': 'text/plain' });
+                res.end('403 Forbidden - open the overlay on the classroom computer');
+                return;
+            }
+            filePath = path.join(__dirname, 'overlay.html');
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('404 Not Found');
             return;
         }
+    
+        fs.readFile(filePath, (err, data) => {
+            if (err) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Error loading page');
+                return;
+            }
         
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(data);
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(data);
+        });
+    });
+
+    // Initialize input backend and WebSocket server (backend "recording" for headless runs)
+    controller = new ScreenController(createInputBackend(config.backend, os.platform()), {
+        pointerSensitivity: config.pointerSensitivity,
+        pointerAcceleration: config.pointerAcceleration,
+        scrollStep: config.scrollStep,
+        volumeStep: config.volumeStep,
+        brightnessStep: config.brightnessStep
     });
-});
+    const profiles = new ProfileManager(config.profiles, os.platform());
+    const launchers = new LaunchList(config.launchers, os.platform());
+    uploads = new UploadStore({
+        directory: config.uploadDir,
+        maxSize: config.maxUploadSize * 1024 * 1024,
+        types: config.uploadTypes
+    });
+    wss = new WebSocketServer(server, controller, pairing, profiles, {
+        commands: config.commands,
+        rateLimit: config.rateLimit,
+        maxTextLength: config.maxTextLength,
+        maxClipboardLength: config.maxClipboardLength,
+        launchers: launchers,
+        uploads: uploads,
+        preview: { maxFps: config.previewFps, maxWidth: config.previewWidth }
+    });
+    statusFeed = new StatusFeed(wss, pairing);
+    auditLog = new AuditLog(wss, {
+        maxSize: config.auditMaxSize * 1024 * 1024,
+        enabled: config.audit,
+        keepText: config.auditText
+    });
+    replay = new CommandReplay(wss);
+    overlayFeed = new OverlayFeed(wss.annotations, controller);
 
-// Initialize WebSocket server
-const wss = new WebSocketServer(server);
+    const PORT = config.port;
+    localIP = settings.localIP;
+    controllerUrl = `${scheme}://${localIP}:${PORT}/controller`;
+    joinUrl = `${scheme}://${localIP}:${PORT}/join`;
 
-// Get local IP
-function getLocalIP() {
-    const interfaces = os.networkInterfaces();
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            if (iface.family === 'IPv4' && !iface.internal) {
-                return iface.address;
-            }
+    function printBanner() {
+        console.clear();
+        console.log('\n🎓 ClassroomControl - Lightweight Teaching Remote\n');
+        console.log('═══════════════════════════════════════════════════════════\n');
+        console.log('📱 MOBILE CONTROLLER (Open on your phone, or scan the code):');
+        console.log(`   ${controllerUrl}`);
+        console.log(`   ${scheme}://localhost:${PORT}/controller\n`);
+        console.log(qrToTerminal(encodeQR(controllerUrl)) + '\n');
+        if (useTLS) {
+            console.log('🔐 TLS on - accept the self-signed certificate warning once per device\n');
         }
+        console.log('🖥️  DESKTOP MONITOR (Open on this computer):');
+        console.log(`   ${scheme}://localhost:${PORT}/desktop`);
+        console.log(`   ${scheme}://localhost:${PORT}/overlay  (fullscreen, for laser and annotations)\n`);
+        console.log('🙋 CLASS POLLS (Students open on their own devices):');
+        console.log(`   ${joinUrl}\n`);
+        console.log(`🔑 TEACHER PIN: ${pairing.pin}   CLASS PIN (students): ${pairing.studentPin}`);
+        console.log(`   (valid ${Math.round(pairing.pinLifetime / 60000)} min, then rotated)`);
+        if (!pairing.persistent) {
+            console.log('   Set CLASSROOM_SECRET to keep paired phones across restarts');
+        }
+        if (config.apiToken) {
+            console.log(`\n🔌 HTTP API: POST ${scheme}://${localIP}:${PORT}/api/command with "Authorization: Bearer <api token>"`);
+        }
+        console.log('');
+        console.log('═══════════════════════════════════════════════════════════\n');
+        console.log(`Platform: ${os.platform()} (input: ${controller.backend.name})`);
+        console.log(`Screen: ${controller.displays.map(d => `${d.name} ${d.width}x${d.height}`).join(', ')}`);
+        console.log(`Uploads: ${uploads.directory} (up to ${config.maxUploadSize} MB)\n`);
+        if (controller.missingTools.length) {
+            console.log(`⚠️  Missing tools: ${controller.missingTools.join(', ')}`);
+            console.log(`   Unavailable from the phone: ${Array.from(controller.unsupported).join(', ')}\n`);
+        }
+        console.log('✨ Ready to control your computer from your phone!\n');
+        console.log('Press Ctrl+C to stop\n');
     }
-    return 'localhost';
-}
 
-const PORT = 8080;
-const localIP = getLocalIP();
+    const ready = useTLS
+        ? loadCertificate(path.join(os.homedir(), '.classroom-control', 'tls'), [...new Set([localIP, 'localhost', '127.0.0.1'])])
+            .then(credentials => server.setSecureContext(credentials))
+        : Promise.resolve();
 
-server.listen(PORT, '0.0.0.0', () => {
-    console.clear();
-    console.log('\n🎓 ClassroomControl - Lightweight Teaching Remote\n');
-    console.log('═══════════════════════════════════════════════════════════\n');
-    console.log('📱 MOBILE CONTROLLER (Open on your phone):');
-    console.log(`   http://${localIP}:${PORT}/controller`);
-    console.log(`   http://localhost:${PORT}/controller\n`);
-    console.log('═══════════════════════════════════════════════════════════\n');
-    console.log(`Platform: ${os.platform()}`);
-    console.log(`Screen: ${wss.controller.screenWidth}x${wss.controller.screenHeight}\n`);
-    console.log('✨ Ready to control your computer from your phone!\n');
-    console.log('Press Ctrl+C to stop\n');
-});
+    ready.then(() => controller.probe(), err => {
+        console.error(`❌ Cannot start in TLS mode: ${err.message}`);
+        process.exit(1);
+    }).then(() => {
+        server.listen(PORT, config.host, printBanner);
+    });
 
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Shutting down ClassroomControl...');
-    server.close(() => {
-        console.log('✅ Server stopped. Goodbye!\n');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Shutting down ClassroomControl...');
+        wss.shutdown();
+        statusFeed.close();
+        overlayFeed.close();
+        replay.stop();
+        auditLog.flush();
+        server.close(() => {
+            auditLog.flush().then(() => {
+                console.log('✅ Server stopped. Goodbye!\n');
+                process.exit(0);
+            });
+        });
     });
-});
\ No newline at end of file
+}
+
+// The tests require this file for its classes without starting a server
+module.exports = {
+    InputBackend, RecordingBackend, createInputBackend, ScreenController, ProfileManager, LaunchList, UploadStore,
+    PollBoard, AnnotationBoard, ControlFloor, PairingManager, CommandError, WebSocketProtocolError,
+    FrameParser, encodeFrame, OPCODE, CLOSE_CODE, MessageValidator, WebSocketServer, AuditLog, CommandReplay,
+    LOCAL_DEVICE
+};
+
+if (require.main === module) {
+    main();
+}
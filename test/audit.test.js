@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const EventEmitter = require('events');
+const { AuditLog } = require('../server');
+
+const client = { id: 'c1', device: { id: 'd1', name: 'Teacher phone', role: 'teacher' }, ip: '192.0.2.1', via: 'websocket' };
+
+function logged(options, data) {
+    const wss = new EventEmitter();
+    const log = new AuditLog(wss, { directory: path.join(os.tmpdir(), 'classroom-control-test-audit'), ...options });
+    wss.emit('handled', client, data, null);
+    clearTimeout(log.flushTimer);
+    return JSON.parse(log.pending[0]);
+}
+
+test('typed and clipboard text is reduced to its length by default', () => {
+    const typed = logged({}, { type: 'type_text', text: 'hunter2' });
+    assert.deepStrictEqual(typed.args, { textLength: 7 });
+    assert.strictEqual(typed.redacted, true);
+
+    const copied = logged({}, { type: 'clipboard_set', text: 'secret notes' });
+    assert.deepStrictEqual(copied.args, { textLength: 12 });
+});
+
+test('keepText logs the text itself', () => {
+    const typed = logged({ keepText: true }, { type: 'type_text', text: 'hello' });
+    assert.deepStrictEqual(typed.args, { text: 'hello' });
+    assert.strictEqual(typed.redacted, undefined);
+});
+
+test('other commands keep their arguments', () => {
+    assert.deepStrictEqual(logged({}, { type: 'key_press', key: 'a' }).args, { key: 'a' });
+});
+
+test('query waits for each entry to be handled before reading the next', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'classroom-control-test-'));
+    try {
+        const wss = new EventEmitter();
+        const log = new AuditLog(wss, { directory });
+        ['a', 'b', 'c'].forEach(key => wss.emit('handled', client, { type: 'key_press', key }, null));
+
+        const keys = [];
+        let busy = false;
+        await log.query({}, async entry => {
+            assert.strictEqual(busy, false);
+            busy = true;
+            await new Promise(resolve => setTimeout(resolve, 10));
+            keys.push(entry.args.key);
+            busy = false;
+        });
+        assert.deepStrictEqual(keys, ['a', 'b', 'c']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
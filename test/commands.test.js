@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+const EventEmitter = require('events');
+const {
+    RecordingBackend, ScreenController, ProfileManager, LaunchList, UploadStore, PairingManager,
+    WebSocketServer, CommandReplay, LOCAL_DEVICE
+} = require('../server');
+
+const ROOT = path.join(__dirname, '..');
+
+// A WebSocketServer on the recording backend, with no network behind it. Commands go through
+// execute() exactly as they would from a phone or POST /api/command.
+function createServer() {
+    const backend = new RecordingBackend();
+    const controller = new ScreenController(backend);
+    const profiles = new ProfileManager(path.join(ROOT, 'profiles.json'), 'linux');
+    const launchers = new LaunchList(path.join(ROOT, 'launchers.json'), 'linux');
+    const wss = new WebSocketServer(new EventEmitter(), controller, new PairingManager(), profiles, {
+        launchers: launchers,
+        uploads: new UploadStore({ directory: path.join(os.tmpdir(), 'classroom-control-test-uploads') })
+    });
+
+    const teacher = wss.httpClient(LOCAL_DEVICE, '127.0.0.1');
+    const student = wss.httpClient({ id: 'student-1', name: 'Student phone', role: 'student' }, '192.0.2.10');
+    const actions = () => backend.actions.map(({ action, args }) => ({ action, args }));
+    const close = () => {
+        wss.shutdown();
+        clearInterval(controller.displayTimer);
+        [profiles, launchers].forEach(list => list.watcher && list.watcher.close());
+    };
+    return { wss, backend, teacher, student, actions, close };
+}
+
+function rejection(promise) {
+    return promise.then(() => assert.fail('expected the command to be refused'), err => err.code);
+}
+
+// Keep the recording backend's console lines out of the test report
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+test('type_text passes quotes and backslashes through untouched', async () => {
+    const server = createServer();
+    try {
+        const text = 'say \\"hi\\" and $(whoami) `id` \'quoted\'';
+        await server.wss.execute(server.teacher, { type: 'type_text', text });
+        assert.deepStrictEqual(server.actions(), [{ action: 'type', args: { text } }]);
+    } finally {
+        server.close();
+    }
+});
+
+test('key_press normalizes the key and modifiers', async () => {
+    const server = createServer();
+    try {
+        await server.wss.execute(server.teacher, { type: 'key_press', key: 'Enter', modifier: ['ctrl', 'shift'] });
+        await server.wss.execute(server.teacher, { type: 'next_slide' });
+        assert.deepStrictEqual(server.actions(), [
+            { action: 'key', args: { key: 'enter', modifiers: ['control', 'shift'] } },
+            { action: 'key', args: { key: 'right', modifiers: [] } }
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('pointer, click and scroll messages map to backend actions', async () => {
+    const server = createServer();
+    try {
+        await server.wss.execute(server.teacher, { type: 'mouse_move', x: 100, y: 200 });
+        await server.wss.execute(server.teacher, { type: 'mouse_click', button: 'right' });
+        await server.wss.execute(server.teacher, { type: 'double_click' });
+        await server.wss.execute(server.teacher, { type: 'scroll', direction: 'down', amount: 3 });
+        assert.deepStrictEqual(server.actions(), [
+            { action: 'moveMouse', args: { x: 100, y: 200 } },
+            { action: 'click', args: { button: 'right' } },
+            { action: 'doubleClick', args: { button: 'left' } },
+            { action: 'scroll', args: { direction: 'down', amount: 3 } }
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('run_macro plays the active profile\'s steps', async () => {
+    const server = createServer();
+    try {
+        await server.wss.execute(server.teacher, { type: 'run_macro', macro: 'first_slide' });
+        assert.deepStrictEqual(server.actions(), [{ action: 'key', args: { key: 'home', modifiers: [] } }]);
+    } finally {
+        server.close();
+    }
+});
+
+test('refused messages never reach the backend', async () => {
+    const server = createServer();
+    try {
+        assert.strictEqual(await rejection(server.wss.execute(server.teacher, { type: 'type_text' })), 'invalid_message');
+        assert.strictEqual(await rejection(server.wss.execute(server.teacher, { type: 'shell', command: 'ls' })), 'unknown_command');
+        assert.strictEqual(await rejection(server.wss.execute(server.student, { type: 'key_press', key: 'a' })), 'not_your_turn');
+        assert.deepStrictEqual(server.actions(), []);
+    } finally {
+        server.close();
+    }
+});
+
+test('a student drives the computer only while holding the floor', async () => {
+    const server = createServer();
+    // Only connected phones can hold the floor; a socket-less client stands in for one
+    const student = server.wss.createClient(null, { id: 'student-2', name: 'Student phone', role: 'student' }, '192.0.2.11', 'websocket');
+    server.wss.clients.add(student);
+    try {
+        await server.wss.execute(student, { type: 'request_control' });
+        await server.wss.execute(server.teacher, { type: 'grant_control', clientId: student.id });
+        await server.wss.execute(student, { type: 'key_press', key: 'space' });
+        assert.strictEqual(await rejection(server.wss.execute(server.teacher, { type: 'key_press', key: 'b' })), 'not_your_turn');
+        assert.deepStrictEqual(server.actions(), [{ action: 'key', args: { key: 'space', modifiers: [] } }]);
+    } finally {
+        server.close();
+    }
+});
+
+test('a drag is released when the student loses the floor or disconnects', async () => {
+    const server = createServer();
+    const student = server.wss.createClient(null, { id: 'student-3', name: 'Student phone', role: 'student' }, '192.0.2.12', 'websocket');
+    server.wss.clients.add(student);
+    try {
+        await server.wss.execute(student, { type: 'request_control' });
+        await server.wss.execute(server.teacher, { type: 'grant_control', clientId: student.id });
+        await server.wss.execute(student, { type: 'mouse_down', button: 'left' });
+        await server.wss.execute(server.teacher, { type: 'revoke_control' });
+
+        await server.wss.execute(server.teacher, { type: 'mouse_down', button: 'right' });
+        server.wss.clients.add(server.teacher);
+        server.wss.removeClient(server.teacher);
+
+        assert.deepStrictEqual(server.actions(), [
+            { action: 'mouseDown', args: { button: 'left' } },
+            { action: 'mouseUp', args: { button: 'left' } },
+            { action: 'mouseDown', args: { button: 'right' } },
+            { action: 'mouseUp', args: { button: 'right' } }
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+// Logged entries as AuditLog writes them, `gap` milliseconds apart
+function logEntries(gap, ...messages) {
+    const start = Date.now();
+    return messages.map(({ type, ...args }, i) => ({
+        time: new Date(start + i * gap).toISOString(), command: type, args, outcome: 'ok'
+    }));
+}
+
+async function finished(replay) {
+    while (replay.getState().running) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('a replayed log that ends mid-drag releases the button', async () => {
+    const server = createServer();
+    try {
+        const replay = new CommandReplay(server.wss);
+        replay.start(logEntries(0, { type: 'mouse_down', button: 'left' }));
+        await finished(replay);
+        assert.deepStrictEqual(server.actions(), [
+            { action: 'mouseDown', args: { button: 'left' } },
+            { action: 'mouseUp', args: { button: 'left' } }
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('stopping a replay mid-drag releases the button', async () => {
+    const server = createServer();
+    try {
+        const replay = new CommandReplay(server.wss, { maxGap: 200 });
+        replay.start(logEntries(60000, { type: 'mouse_down', button: 'right' }, { type: 'mouse_up', button: 'right' }));
+        while (server.actions().length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+        replay.stop();
+        await finished(replay);
+        assert.deepStrictEqual(server.actions(), [
+            { action: 'mouseDown', args: { button: 'right' } },
+            { action: 'mouseUp', args: { button: 'right' } }
+        ]);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { FrameParser, encodeFrame, OPCODE, CLOSE_CODE, WebSocketProtocolError } = require('../server');
+
+// A masked frame as a browser would send it
+function clientFrame(payload, { opcode = OPCODE.TEXT, fin = true, length } = {}) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const size = length === undefined ? data.length : length;
+
+    let header;
+    if (size <= 125) {
+        header = Buffer.from([0, 0x80 | size]);
+    } else if (size <= 65535) {
+        header = Buffer.alloc(4);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(size, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(size), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+    return Buffer.concat([header, mask, masked]);
+}
+
+function assertProtocolError(fn, closeCode) {
+    assert.throws(fn, (err) => err instanceof WebSocketProtocolError && err.closeCode === closeCode);
+}
+
+test('parses a complete text frame', () => {
+    const parser = new FrameParser();
+    assert.deepStrictEqual(parser.push(clientFrame('{"type":"next_slide"}')), [
+        { opcode: OPCODE.TEXT, payload: '{"type":"next_slide"}' }
+    ]);
+});
+
+test('buffers a frame that arrives one byte at a time', () => {
+    const parser = new FrameParser();
+    const frame = clientFrame('hello there');
+    const messages = [];
+    for (let i = 0; i < frame.length; i++) {
+        messages.push(...parser.push(frame.subarray(i, i + 1)));
+    }
+    assert.deepStrictEqual(messages, [{ opcode: OPCODE.TEXT, payload: 'hello there' }]);
+});
+
+test('returns several frames from one chunk and keeps the partial tail', () => {
+    const parser = new FrameParser();
+    const third = clientFrame('three');
+    const chunk = Buffer.concat([clientFrame('one'), clientFrame('two'), third.subarray(0, 4)]);
+
+    assert.deepStrictEqual(parser.push(chunk).map(message => message.payload), ['one', 'two']);
+    assert.deepStrictEqual(parser.push(third.subarray(4)).map(message => message.payload), ['three']);
+});
+
+test('reassembles a fragmented message from continuation frames', () => {
+    const parser = new FrameParser();
+    const chunk = Buffer.concat([
+        clientFrame('{"type":', { fin: false }),
+        clientFrame('"type_text",', { opcode: OPCODE.CONTINUATION, fin: false }),
+        clientFrame('"text":"hi"}', { opcode: OPCODE.CONTINUATION })
+    ]);
+    assert.deepStrictEqual(parser.push(chunk), [
+        { opcode: OPCODE.TEXT, payload: '{"type":"type_text","text":"hi"}' }
+    ]);
+});
+
+test('delivers a control frame sent between fragments', () => {
+    const parser = new FrameParser();
+    const messages = parser.push(Buffer.concat([
+        clientFrame('first ', { fin: false }),
+        clientFrame('ping!', { opcode: OPCODE.PING }),
+        clientFrame('second', { opcode: OPCODE.CONTINUATION })
+    ]));
+
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(messages[0].opcode, OPCODE.PING);
+    assert.strictEqual(messages[0].payload.toString(), 'ping!');
+    assert.deepStrictEqual(messages[1], { opcode: OPCODE.TEXT, payload: 'first second' });
+});
+
+test('decodes 16-bit and 64-bit payload lengths', () => {
+    const parser = new FrameParser();
+    const medium = 'm'.repeat(300);
+    const large = 'L'.repeat(70000);
+    const messages = parser.push(Buffer.concat([clientFrame(medium), clientFrame(large)]));
+    assert.deepStrictEqual(messages.map(message => message.payload), [medium, large]);
+});
+
+test('decodes a UTF-8 character split across fragments', () => {
+    const parser = new FrameParser();
+    const bytes = Buffer.from('é', 'utf8');
+    const messages = parser.push(Buffer.concat([
+        clientFrame(bytes.subarray(0, 1), { fin: false }),
+        clientFrame(bytes.subarray(1), { opcode: OPCODE.CONTINUATION })
+    ]));
+    assert.deepStrictEqual(messages, [{ opcode: OPCODE.TEXT, payload: 'é' }]);
+});
+
+test('refuses an oversized 64-bit length before the payload arrives', () => {
+    const parser = new FrameParser({ maxMessageSize: 1024 });
+    const header = clientFrame(Buffer.alloc(0), { length: 2 ** 40 }).subarray(0, 10);
+    assertProtocolError(() => parser.push(header), CLOSE_CODE.MESSAGE_TOO_BIG);
+});
+
+test('refuses a fragmented message that grows past the limit', () => {
+    const parser = new FrameParser({ maxMessageSize: 100 });
+    parser.push(clientFrame('x'.repeat(60), { fin: false }));
+    assertProtocolError(
+        () => parser.push(clientFrame('x'.repeat(60), { opcode: OPCODE.CONTINUATION })),
+        CLOSE_CODE.MESSAGE_TOO_BIG
+    );
+});
+
+test('refuses invalid UTF-8 in a text message', () => {
+    const parser = new FrameParser();
+    assertProtocolError(() => parser.push(clientFrame(Buffer.from([0x7b, 0xc3, 0x28, 0x7d]))), CLOSE_CODE.INVALID_DATA);
+});
+
+test('refuses unmasked frames, stray continuations and oversized control frames', () => {
+    const unmasked = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+    assertProtocolError(() => new FrameParser().push(unmasked), CLOSE_CODE.PROTOCOL_ERROR);
+    assertProtocolError(
+        () => new FrameParser().push(clientFrame('x', { opcode: OPCODE.CONTINUATION })),
+        CLOSE_CODE.PROTOCOL_ERROR
+    );
+    assertProtocolError(
+        () => new FrameParser().push(clientFrame('p'.repeat(126), { opcode: OPCODE.PING })),
+        CLOSE_CODE.PROTOCOL_ERROR
+    );
+    assertProtocolError(
+        () => new FrameParser().push(Buffer.concat([clientFrame('a', { fin: false }), clientFrame('b')])),
+        CLOSE_CODE.PROTOCOL_ERROR
+    );
+});
+
+test('encodeFrame picks the right length encoding', () => {
+    const small = encodeFrame('hi');
+    assert.deepStrictEqual([...small.subarray(0, 2)], [0x81, 2]);
+
+    const medium = encodeFrame(Buffer.alloc(300), OPCODE.BINARY);
+    assert.strictEqual(medium[0], 0x82);
+    assert.strictEqual(medium[1], 126);
+    assert.strictEqual(medium.readUInt16BE(2), 300);
+
+    const large = encodeFrame(Buffer.alloc(70000));
+    assert.strictEqual(large[1], 127);
+    assert.strictEqual(large.readBigUInt64BE(2), 70000n);
+    assert.strictEqual(large.length, 10 + 70000);
+});
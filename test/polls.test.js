@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PollBoard } = require('../server');
+
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+function codeOf(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err.code;
+    }
+    return null;
+}
+
+test('voting again replaces the earlier answer', () => {
+    const polls = new PollBoard();
+    const { device } = polls.join('Ana', '192.0.2.1');
+    polls.create({ question: 'Pick one', kind: 'choice', options: ['A', 'B'] });
+
+    polls.vote(device, { choice: 0 }, '192.0.2.1');
+    polls.vote(device, { choice: 1 }, '192.0.2.1');
+    assert.deepStrictEqual(polls.getState().poll.counts, [0, 1]);
+});
+
+test('a second identity from the same address cannot vote in the same poll', () => {
+    const polls = new PollBoard();
+    const first = polls.join('Ana', '192.0.2.1').device;
+    const second = polls.join('Not Ana', '192.0.2.1').device;
+    const neighbour = polls.join('Ben', '192.0.2.2').device;
+    polls.create({ question: 'Pick one', kind: 'choice', options: ['A', 'B'] });
+
+    polls.vote(first, { choice: 0 }, '192.0.2.1');
+    assert.strictEqual(codeOf(() => polls.vote(second, { choice: 0 }, '192.0.2.1')), 'already_voted');
+    polls.vote(neighbour, { choice: 1 }, '192.0.2.2');
+    assert.deepStrictEqual(polls.getState().poll.counts, [1, 1]);
+
+    // A new poll starts with a clean slate
+    polls.create({ question: 'Again', kind: 'text' });
+    polls.vote(second, { text: 'hello' }, '192.0.2.1');
+    assert.strictEqual(polls.getState().poll.total, 1);
+});
+
+test('joins are rate-limited per address', () => {
+    const polls = new PollBoard();
+    for (let i = 0; i < 5; i++) polls.join(`Student ${i}`, '192.0.2.1');
+    assert.strictEqual(codeOf(() => polls.join('One more', '192.0.2.1')), 'rate_limited');
+    assert.ok(polls.join('Someone else', '192.0.2.2').token);
+});
+
+test('voters expire once they have not been seen for a while', () => {
+    const polls = new PollBoard({ voterLifetime: 1000 });
+    const { token, device } = polls.join('Ana', '192.0.2.1');
+    device.lastSeen -= 2000;
+    polls.join('Ben', '192.0.2.2');
+    assert.strictEqual(polls.verify(token), null);
+    assert.strictEqual(polls.voters.size, 1);
+});
+
+test('the correct answer must be one of the options', () => {
+    const polls = new PollBoard();
+    const create = (correct) => () => polls.create({ question: 'Pick one', kind: 'choice', options: ['A', 'B'], correct });
+    assert.strictEqual(codeOf(create(-1)), 'invalid_message');
+    assert.strictEqual(codeOf(create(2)), 'invalid_message');
+    assert.strictEqual(codeOf(create(1)), null);
+});
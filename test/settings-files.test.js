@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ProfileManager, LaunchList } = require('../server');
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+const directories = [];
+test.after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+function tempFile(name, content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'classroom-control-test-'));
+    directories.push(directory);
+    const file = path.join(directory, name);
+    if (content !== undefined) fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+}
+
+const launchers = (url) => ({ launchers: { site: { label: 'Site', url } } });
+
+test('a missing file leaves an empty list', () => {
+    const list = new LaunchList(tempFile('launchers.json'), 'linux');
+    list.watcher.close();
+    assert.deepStrictEqual(list.getState(), []);
+});
+
+test('platform overrides replace the defaults on that OS', () => {
+    const file = tempFile('profiles.json', {
+        profiles: {
+            slides: {
+                name: 'Slides',
+                macros: {
+                    start: {
+                        label: 'Start',
+                        steps: [{ action: 'key', key: 'f5' }],
+                        stepsByPlatform: { darwin: [{ action: 'key', key: 'enter', modifiers: ['command'] }] }
+                    }
+                }
+            }
+        }
+    });
+    const linux = new ProfileManager(file, 'linux');
+    const mac = new ProfileManager(file, 'darwin');
+    [linux, mac].forEach(profiles => profiles.watcher.close());
+
+    assert.strictEqual(linux.profiles.slides.macros.start.steps[0].key, 'f5');
+    assert.deepStrictEqual(mac.profiles.slides.macros.start.steps[0], { action: 'key', key: 'enter', modifiers: ['command'] });
+});
+
+test('reloads on change and keeps the previous contents when the file is broken', async () => {
+    const file = tempFile('launchers.json', launchers('https://example.com'));
+    const list = new LaunchList(file, 'linux');
+    try {
+        fs.writeFileSync(file, '{ "launchers": ');
+        list.reload();
+        assert.strictEqual(list.get('site').target, 'https://example.com');
+
+        const changed = new Promise(resolve => list.once('change', resolve));
+        fs.writeFileSync(file, JSON.stringify(launchers('https://example.org')));
+        await changed;
+        assert.strictEqual(list.get('site').target, 'https://example.org');
+    } finally {
+        list.watcher.close();
+    }
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+function openStream(port, pathname) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: pathname, headers: { Host: `localhost:${port}` } }, res => {
+            assert.strictEqual(res.statusCode, 200);
+            // Wait for the first event, so the stream is registered with its feed
+            res.once('data', () => resolve(res));
+        });
+        req.on('error', reject);
+    });
+}
+
+test('Ctrl+C stops the server while the monitor and overlay are open', { timeout: 20000 }, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'classroom-control-test-'));
+    const config = path.join(directory, 'config.json');
+    fs.writeFileSync(config, '{}');
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER, '--backend', 'recording', '--port', String(port), '--host', '127.0.0.1',
+        '--upload-dir', path.join(directory, 'uploads')], {
+        env: { ...process.env, CLASSROOM_CONFIG: config },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve({ code, signal })));
+
+    try {
+        await new Promise((resolve, reject) => {
+            let output = '';
+            child.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes('Press Ctrl+C to stop')) resolve();
+            });
+            child.stderr.on('data', chunk => { output += chunk; });
+            child.once('exit', () => reject(new Error(`server exited early:\n${output}`)));
+        });
+
+        const streams = await Promise.all([openStream(port, '/api/events'), openStream(port, '/api/overlay/events')]);
+        const ended = streams.map(res => new Promise(resolve => res.once('end', resolve)));
+
+        child.kill('SIGINT');
+        const timeout = new Promise(resolve => setTimeout(() => resolve('still running'), 5000).unref());
+        assert.deepStrictEqual(await Promise.race([exited, timeout]), { code: 0, signal: null });
+        await Promise.all(ended);
+    } finally {
+        if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { UploadStore } = require('../server');
+
+const directories = [];
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+test.after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+function createStore() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'classroom-control-test-'));
+    directories.push(directory);
+    return new UploadStore({ directory });
+}
+
+// An incoming multipart request carrying one file, delivered in 64 KB chunks
+function uploadRequest(name, content) {
+    const boundary = 'classroom-test-boundary';
+    const body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\n` +
+            'Content-Type: application/octet-stream\r\n\r\n'),
+        content,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    const chunks = [];
+    for (let offset = 0; offset < body.length; offset += 64 * 1024) chunks.push(body.subarray(offset, offset + 64 * 1024));
+
+    const req = Readable.from(chunks);
+    req.headers = { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': String(body.length) };
+    return req;
+}
+
+test('saves the uploaded file under its own name', async () => {
+    const store = createStore();
+    const content = Buffer.alloc(200 * 1024, 'x');
+    const result = await store.receive(uploadRequest('notes.pdf', content));
+    assert.deepStrictEqual(result.file, { name: 'notes.pdf', size: content.length });
+    assert.ok(fs.readFileSync(path.join(store.directory, 'notes.pdf')).equals(content));
+});
+
+test('a failing disk write rejects the upload instead of hanging it', async () => {
+    const store = createStore();
+    test.mock.method(fs, 'createWriteStream', () => new Writable({
+        highWaterMark: 1024,
+        write(chunk, encoding, callback) {
+            const err = new Error('no space left on device');
+            err.code = 'ENOSPC';
+            setImmediate(() => callback(err));
+        }
+    }));
+
+    await assert.rejects(store.receive(uploadRequest('notes.pdf', Buffer.alloc(200 * 1024, 'x'))), { code: 'ENOSPC' });
+    assert.deepStrictEqual(fs.readdirSync(store.directory), []);
+});